@@ -27,12 +27,26 @@
  *    This is why KV stores are popular - they're incredibly fast for
  *    simple lookups. But they have limitations (no range queries... yet!)
  * 
+ * 4. EXPIRING KEYS (TTL)
+ *    Sessions and rate-limit counters should disappear on their own:
+ *    
+ *    store.set('session:abc', { userId: 1 }, { ttl: 60000 }); // 1 minute
+ *    store.ttl('session:abc');          // → ms left (Infinity = never expires)
+ *    store.expire('session:abc', 5000); // → now 5 seconds from now
+ *    
+ *    Expiry is LAZY: nothing runs when the time is up. A second Map holds
+ *    each key's expiry time, and get()/has()/keys()/size() check it and
+ *    throw out whatever has expired - no sweeper scanning every key.
+ * 
  * 🔗 HOW THIS RELATES TO LEVELDB:
  *    LevelDB also has this in-memory component (called MemTable),
  *    but it uses a sorted structure (Skip List) instead of a hash map.
  *    We'll learn why in Step 3!
  */
 
+// The ttl arithmetic is shared with every later store (see step2/expiry.js)
+const { expiryFor, isExpired, remainingTtl } = require('../step2/expiry');
+
 class KVStore {
   constructor() {
     /**
@@ -47,6 +61,12 @@ class KVStore {
      * - LevelDB uses Skip Lists (sorted, we'll learn in Step 3)
      */
     this._data = new Map();
+
+    /**
+     * Expiry times of keys set with a ttl: key → milliseconds since epoch
+     * (keys without an entry never expire)
+     */
+    this._expiresAt = new Map();
   }
 
   /**
@@ -54,24 +74,30 @@ class KVStore {
    * 
    * @param {string} key - Unique identifier for the data
    * @param {any} value - The data to store
+   * @param {object} options - { ttl }: milliseconds until the key expires
+   *                           (default: never)
    * 
    * Example:
    *   store.set("user:1", { name: "Alice" })
    *   store.set("config:theme", "dark")
+   *   store.set("session:abc", { userId: 1 }, { ttl: 60000 })
    * 
    * Common patterns for keys:
    *   - "namespace:id" (e.g., "user:123", "order:456")
    *   - "namespace:subkey:id" (e.g., "user:email:123")
    */
-  set(key, value) {
+  set(key, value, options = {}) {
     // Validate key - must be a string
     if (typeof key !== 'string') {
       throw new Error('Key must be a string');
     }
+    const expiresAt = expiryFor(options.ttl);
 
     // Store the value
-    // If key exists, it gets overwritten (upsert behavior)
+    // If key exists, it gets overwritten (upsert behavior) - and so does
+    // its expiry: a set() without ttl makes the key permanent again
     this._data.set(key, value);
+    this._setExpiry(key, expiresAt);
 
     // Return the value for chaining convenience
     return value;
@@ -89,6 +115,7 @@ class KVStore {
    * - Direct hash lookup: O(1)
    */
   get(key) {
+    this._purgeIfExpired(key);
     return this._data.get(key);
   }
 
@@ -103,6 +130,8 @@ class KVStore {
    * It writes a "tombstone" marker. We'll learn why in Step 5.
    */
   delete(key) {
+    this._purgeIfExpired(key);
+    this._expiresAt.delete(key);
     return this._data.delete(key);
   }
 
@@ -115,9 +144,40 @@ class KVStore {
    * Useful for checking existence without getting the value
    */
   has(key) {
+    this._purgeIfExpired(key);
     return this._data.has(key);
   }
 
+  /**
+   * TTL - How long until a key expires?
+   * 
+   * @param {string} key - The key to check
+   * @returns {number|undefined} Milliseconds left, Infinity if the key
+   *                             never expires, undefined if it doesn't exist
+   */
+  ttl(key) {
+    if (!this.has(key)) {
+      return undefined;
+    }
+    return remainingTtl(this._expiresAt.get(key));
+  }
+
+  /**
+   * EXPIRE - Set how long an existing key lives from now on
+   * 
+   * @param {string} key - The key to expire
+   * @param {number} ms - Milliseconds from now (Infinity: never expire)
+   * @returns {boolean} True if the key exists (and now has the new expiry)
+   */
+  expire(key, ms) {
+    const expiresAt = expiryFor(ms);
+    if (!this.has(key)) {
+      return false;
+    }
+    this._setExpiry(key, expiresAt);
+    return true;
+  }
+
   /**
    * GET ALL KEYS - Return all stored keys
    * 
@@ -129,6 +189,7 @@ class KVStore {
    * - In production, use iterators for large datasets
    */
   keys() {
+    this._purgeExpired();
     return Array.from(this._data.keys());
   }
 
@@ -138,6 +199,7 @@ class KVStore {
    * @returns {number} Count of key-value pairs
    */
   size() {
+    this._purgeExpired();
     return this._data.size;
   }
 
@@ -149,6 +211,39 @@ class KVStore {
    */
   clear() {
     this._data.clear();
+    this._expiresAt.clear();
+  }
+
+  /**
+   * @private
+   */
+  _setExpiry(key, expiresAt) {
+    if (expiresAt === undefined) {
+      this._expiresAt.delete(key);
+    } else {
+      this._expiresAt.set(key, expiresAt);
+    }
+  }
+
+  /**
+   * Remove a key if its time is up
+   * @private
+   */
+  _purgeIfExpired(key) {
+    if (isExpired(this._expiresAt.get(key))) {
+      this._data.delete(key);
+      this._expiresAt.delete(key);
+    }
+  }
+
+  /**
+   * Remove every key whose time is up (only keys with a ttl are checked)
+   * @private
+   */
+  _purgeExpired() {
+    for (const key of this._expiresAt.keys()) {
+      this._purgeIfExpired(key);
+    }
   }
 }
 
@@ -197,12 +292,25 @@ if (require.main === module) {
   console.log('   store.delete("user:2") =>', store.delete('user:2'));
   console.log('   store.size() =>', store.size());
 
-  console.log('\n' + '='.repeat(50));
-  console.log('✅ Step 1 Complete!\n');
-  console.log('📚 What you learned:');
-  console.log('   - Basic KV operations: get, set, delete');
-  console.log('   - O(1) time complexity with hash maps');
-  console.log('   - Key naming conventions (namespace:id)');
-  console.log('\n⚠️ Limitation: Data is lost when the process stops!');
-  console.log('   → Step 2 will fix this with Write-Ahead Log (WAL)');
+  console.log('\n⏳ Expiring keys...');
+  store.set('session:abc', { userId: 1 }, { ttl: 60000 });
+  console.log('   store.set("session:abc", { userId: 1 }, { ttl: 60000 })');
+  console.log('   store.ttl("session:abc") =>', store.ttl('session:abc'));
+  console.log('   store.ttl("user:1") =>', store.ttl('user:1'));
+  console.log('   store.expire("session:abc", 1) =>', store.expire('session:abc', 1));
+
+  // Come back once the session has expired
+  setTimeout(() => {
+    console.log('   store.get("session:abc") =>', store.get('session:abc'), '(expired)');
+
+    console.log('\n' + '='.repeat(50));
+    console.log('✅ Step 1 Complete!\n');
+    console.log('📚 What you learned:');
+    console.log('   - Basic KV operations: get, set, delete');
+    console.log('   - O(1) time complexity with hash maps');
+    console.log('   - Key naming conventions (namespace:id)');
+    console.log('   - Lazy expiry (TTL) without a sweeper');
+    console.log('\n⚠️ Limitation: Data is lost when the process stops!');
+    console.log('   → Step 2 will fix this with Write-Ahead Log (WAL)');
+  }, 5);
 }
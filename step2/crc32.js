@@ -0,0 +1,70 @@
+/**
+ * ============================================================================
+ * STEP 2: CRC32 - Detecting Corrupted Bytes
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how databases notice that bytes on disk are not the bytes
+ * they wrote.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. WHAT IS A CHECKSUM?
+ *    A small number computed from a chunk of data.
+ *    - Write: store the checksum next to the data
+ *    - Read: recompute it and compare
+ *    - Mismatch → the data changed (torn write, bit flip, bad sector...)
+ *
+ * 2. WHY CRC32?
+ *    - Very cheap to compute (one table lookup per byte)
+ *    - Catches every single-bit error and every burst error up to 32 bits
+ *    - The same polynomial (IEEE 802.3) is used by zlib, PNG, Ethernet
+ *
+ *    It is NOT a cryptographic hash - it protects against accidents,
+ *    not against an attacker.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB stores a CRC32C (Castagnoli variant) with every log record
+ *    and every SSTable block. Same idea, slightly different polynomial.
+ */
+
+/**
+ * Lookup table: the CRC of every possible byte value.
+ * Built once when the module is loaded.
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * COMPUTE CRC32 of one or more buffers
+ *
+ * @param {Buffer|Buffer[]} data - Bytes to checksum (several buffers are
+ *                                 treated as if they were concatenated)
+ * @returns {number} Unsigned 32-bit checksum
+ *
+ * Example:
+ *   crc32(Buffer.from('hello')) => 907060870
+ */
+function crc32(data) {
+    const buffers = Array.isArray(data) ? data : [data];
+    let crc = 0xFFFFFFFF;
+
+    for (const buffer of buffers) {
+        for (let i = 0; i < buffer.length; i++) {
+            crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+        }
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = { crc32 };
@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * STEP 2: Expiry - Keys With a Time To Live
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how a store can forget sessions and counters on its own,
+ * without a sweeper scanning every key.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. A TTL BECOMES A POINT IN TIME
+ *    set('session:42', data, { ttl: 60000 }) stores the entry with
+ *    expiresAt = now + 60000 (milliseconds since the epoch). It's the
+ *    TIME that goes into the WAL, not the duration - replaying the log an
+ *    hour later must not start the minute over.
+ *
+ * 2. LAZY EXPIRY
+ *    Nothing happens when a key expires. Every read compares expiresAt
+ *    with the clock and treats an expired entry as deleted:
+ *
+ *      expiresAt undefined      → never expires
+ *      expiresAt <= Date.now()  → gone (reads hide it)
+ *
+ *    The space is reclaimed later, whenever the entry is touched anyway:
+ *    a read or recovery (KVStore, DurableKVStore), or a compaction that
+ *    rewrites it (LSM Tree, Step 5).
+ *
+ * 3. INSPECTING AND CHANGING EXPIRY
+ *    ttl(key)         → milliseconds left, Infinity if the key never
+ *                       expires, undefined if there is no such key
+ *    expire(key, ms)  → the key now expires ms from now (Infinity: never)
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB has no expiry. RocksDB's DBWithTTL stores a timestamp with
+ *    every value and drops expired ones in a compaction filter - the
+ *    same "hide on read, purge on compaction" idea. ttl() / expire() are
+ *    Redis's PTTL and PEXPIRE.
+ */
+
+/**
+ * EXPIRY TIME for a ttl option
+ *
+ * @param {number} ttl - Milliseconds to live (undefined or Infinity: forever)
+ * @param {number} now - Current time (default: Date.now())
+ * @returns {number|undefined} expiresAt, or undefined if it never expires
+ */
+function expiryFor(ttl, now = Date.now()) {
+    if (ttl === undefined || ttl === Infinity) {
+        return undefined;
+    }
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+        throw new Error(`ttl must be a positive number of milliseconds, got ${ttl}`);
+    }
+    return now + ttl;
+}
+
+/**
+ * HAS AN ENTRY EXPIRED?
+ *
+ * @param {number|undefined} expiresAt
+ * @param {number} now - Current time (default: Date.now())
+ * @returns {boolean}
+ */
+function isExpired(expiresAt, now = Date.now()) {
+    return expiresAt !== undefined && expiresAt <= now;
+}
+
+/**
+ * TIME LEFT before an entry expires
+ *
+ * @param {number|undefined} expiresAt
+ * @param {number} now - Current time (default: Date.now())
+ * @returns {number} Milliseconds, Infinity if it never expires
+ */
+function remainingTtl(expiresAt, now = Date.now()) {
+    return expiresAt === undefined ? Infinity : Math.max(0, expiresAt - now);
+}
+
+module.exports = { expiryFor, isExpired, remainingTtl };
@@ -0,0 +1,58 @@
+/**
+ * ============================================================================
+ * STEP 2: Bytes in JSON Records
+ * ============================================================================
+ *
+ * WAL records, batches and manifest edits are JSON. JSON has no bytes
+ * type - JSON.stringify turns a Buffer into {"type":"Buffer","data":[...]},
+ * which JSON.parse leaves as a plain object. So before a record is
+ * stringified, its Buffer fields are written as base64 and NAMED in a
+ * `binary` field, which tells the reader what to turn back into bytes:
+ *
+ *   { key: <Buffer 8f 01>, value: 'x', seq: 7 }
+ *     → { key: 'jwE=', value: 'x', seq: 7, binary: ['key'] }
+ *
+ * Records without Buffers are unchanged, so old logs still read.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's records are binary throughout, so it never needs this.
+ */
+
+/**
+ * PACK a record's Buffer fields (top level only) for JSON.stringify
+ *
+ * @param {object} record
+ * @returns {object} The record itself if it has no Buffers, else a copy
+ */
+function packBytes(record) {
+    let packed = record;
+    for (const [field, value] of Object.entries(record)) {
+        if (Buffer.isBuffer(value)) {
+            if (packed === record) {
+                packed = { ...record, binary: [] };
+            }
+            packed[field] = value.toString('base64');
+            packed.binary.push(field);
+        }
+    }
+    return packed;
+}
+
+/**
+ * UNPACK a record written by packBytes() (after JSON.parse)
+ *
+ * @param {object} record
+ * @returns {object} The record, with its Buffer fields restored
+ */
+function unpackBytes(record) {
+    if (record.binary === undefined) {
+        return record;
+    }
+    const { binary, ...unpacked } = record;
+    for (const field of binary) {
+        unpacked[field] = Buffer.from(unpacked[field], 'base64');
+    }
+    return unpacked;
+}
+
+module.exports = { packBytes, unpackBytes };
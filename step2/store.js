@@ -6,29 +6,43 @@
  * This is Step 1's store + WAL = Durability!
  * 
  * Now your data survives crashes and restarts.
+ * 
+ * Keys set with a ttl (see expiry.js) log their expiry TIME with the SET
+ * record, so a restart neither forgets nor extends it. expire() logs the
+ * key again with its new expiry.
  */
 
 const { WriteAheadLog } = require('./wal');
+const { WriteBatch } = require('./write-batch');
+const { expiryFor, isExpired, remainingTtl } = require('./expiry');
 
 class DurableKVStore {
     /**
      * Create a durable KV store
      * 
      * @param {string} dataDir - Directory to store data
+     * @param {object} options - Passed to the WAL (e.g. { recoveryMode: 'absolute' })
      * 
      * Unlike Step 1, this store:
      * 1. Writes every operation to disk FIRST (via WAL)
      * 2. Then updates memory
      * 3. On restart, recovers state from WAL
      */
-    constructor(dataDir = './data') {
+    constructor(dataDir = './data', options = {}) {
         this.dataDir = dataDir;
 
         // Initialize WAL
-        this.wal = new WriteAheadLog(`${dataDir}/wal.log`);
-
-        // Recover any existing data from WAL
-        this._data = this.wal.recover();
+        this.wal = new WriteAheadLog(`${dataDir}/wal.log`, options);
+
+        // Recover any existing data from WAL (expiry times next to it,
+        // for keys that have one)
+        this._data = new Map();
+        this._expiresAt = new Map();
+        this.wal.replay({
+            set: (key, value, seq, expiresAt) => this._apply(key, value, expiresAt),
+            delete: key => this._apply(key, undefined, undefined, true),
+        });
+        this._purgeExpired();
 
         console.log(`📦 Store initialized with ${this._data.size} keys`);
     }
@@ -42,17 +56,24 @@ class DurableKVStore {
      * 
      * If crash after step 1, we recover from WAL.
      * If crash after step 2, we're fine.
+     * 
+     * With the 'group', 'interval' or 'none' syncPolicy (see wal.js), step
+     * 1 only hands the record to the OS: set() returns before it is fsynced,
+     * so power loss can still lose it. Await sync() for a durable write.
+     * 
+     * @param {object} options - { ttl }: milliseconds until the key expires
      */
-    set(key, value) {
+    set(key, value, options = {}) {
         if (typeof key !== 'string') {
             throw new Error('Key must be a string');
         }
+        const expiresAt = expiryFor(options.ttl);
 
-        // FIRST: Write to WAL (ensures durability)
-        this.wal.logSet(key, value);
+        // FIRST: Write to WAL (durable now with the default 'always' policy)
+        this._trackDurability(this.wal.logSet(key, value, undefined, expiresAt));
 
         // THEN: Update in-memory store
-        this._data.set(key, value);
+        this._apply(key, value, expiresAt);
 
         return value;
     }
@@ -63,11 +84,46 @@ class DurableKVStore {
      * Same principle: WAL first, then memory.
      */
     delete(key) {
+        const existed = this.has(key);
+
         // FIRST: Log the delete
-        this.wal.logDelete(key);
+        this._trackDurability(this.wal.logDelete(key));
 
         // THEN: Delete from memory
-        return this._data.delete(key);
+        this._apply(key, undefined, undefined, true);
+        return existed;
+    }
+
+    /**
+     * WRITE a batch atomically
+     * 
+     * @param {WriteBatch} batch - See write-batch.js
+     * 
+     * One WAL record for all operations → all or nothing after a crash.
+     */
+    write(batch) {
+        if (batch.length === 0) {
+            return;
+        }
+        for (const op of batch) {
+            if (typeof op.key !== 'string') {
+                throw new Error('Key must be a string');
+            }
+            if (op.type === 'merge') {
+                throw new Error('Merge operations need an LSM Tree with a mergeOperator (Step 5)');
+            }
+            if (op.type === 'deleteRange') {
+                throw new Error('Range deletions need an LSM Tree (Step 5)');
+            }
+        }
+
+        // FIRST: Log the whole batch as one record
+        this._trackDurability(this.wal.logBatch(batch));
+
+        // THEN: Apply it to memory
+        for (const op of batch) {
+            this._apply(op.key, op.value, op.expiresAt, op.type === 'delete');
+        }
     }
 
     /**
@@ -78,21 +134,117 @@ class DurableKVStore {
      * - Memory is always up-to-date
      */
     get(key) {
+        this._purgeIfExpired(key);
         return this._data.get(key);
     }
 
     has(key) {
+        this._purgeIfExpired(key);
         return this._data.has(key);
     }
 
+    /**
+     * TTL - Milliseconds until a key expires
+     * 
+     * @returns {number|undefined} Infinity if it never expires,
+     *                             undefined if it doesn't exist
+     */
+    ttl(key) {
+        if (!this.has(key)) {
+            return undefined;
+        }
+        return remainingTtl(this._expiresAt.get(key));
+    }
+
+    /**
+     * EXPIRE - Make an existing key expire ms from now (Infinity: never)
+     * 
+     * Logged like a set() of the same value, so it survives a restart.
+     * 
+     * @returns {boolean} True if the key exists
+     */
+    expire(key, ms) {
+        const expiresAt = expiryFor(ms);
+        if (!this.has(key)) {
+            return false;
+        }
+        const value = this._data.get(key);
+        this._trackDurability(this.wal.logSet(key, value, undefined, expiresAt));
+        this._apply(key, value, expiresAt);
+        return true;
+    }
+
     keys() {
+        this._purgeExpired();
         return Array.from(this._data.keys());
     }
 
     size() {
+        this._purgeExpired();
         return this._data.size;
     }
 
+    /**
+     * SYNC - Wait until every write so far is durable
+     * 
+     * @returns {Promise}
+     */
+    sync() {
+        return this.wal.sync();
+    }
+
+    /**
+     * The 'group' policy's promise from the WAL isn't returned by set()
+     * and co. A failed fsync is sticky (the next write throws), so only
+     * keep its rejection from crashing the process.
+     * 
+     * @private
+     */
+    _trackDurability(durable) {
+        if (durable) {
+            durable.catch(() => {});
+        }
+    }
+
+    /**
+     * APPLY a logged write to memory
+     * 
+     * @private
+     */
+    _apply(key, value, expiresAt, deleted = false) {
+        if (deleted) {
+            this._data.delete(key);
+        } else {
+            this._data.set(key, value);
+        }
+        if (expiresAt === undefined) {
+            this._expiresAt.delete(key);
+        } else {
+            this._expiresAt.set(key, expiresAt);
+        }
+    }
+
+    /**
+     * Drop a key from memory if it has expired (the WAL still holds its
+     * records - only memory is reclaimed)
+     * 
+     * @private
+     */
+    _purgeIfExpired(key) {
+        if (isExpired(this._expiresAt.get(key))) {
+            this._apply(key, undefined, undefined, true);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _purgeExpired() {
+        for (const key of this._expiresAt.keys()) {
+            this._purgeIfExpired(key);
+        }
+    }
+
     /**
      * CLOSE - Clean shutdown
      * 
@@ -111,13 +263,13 @@ class DurableKVStore {
      */
     stats() {
         return {
-            keys: this._data.size,
+            keys: this.size(),
             walSize: this.wal.size(),
         };
     }
 }
 
-module.exports = { DurableKVStore };
+module.exports = { DurableKVStore, WriteBatch };
 
 /**
  * ============================================================================
@@ -143,8 +295,9 @@ if (require.main === module) {
     store.set('user:1', { name: 'Alice', role: 'admin' });
     store.set('user:2', { name: 'Bob', role: 'user' });
     store.set('counter', 42);
+    store.set('session:abc', { userId: 1 }, { ttl: 60 * 60 * 1000 });
 
-    console.log('   Wrote 3 key-value pairs');
+    console.log('   Wrote 4 key-value pairs (session:abc expires in an hour)');
     console.log('   Stats:', store.stats());
 
     // Simulating "crash" - just close without cleanup
@@ -159,11 +312,13 @@ if (require.main === module) {
     console.log('   user:1 =>', store.get('user:1'));
     console.log('   user:2 =>', store.get('user:2'));
     console.log('   counter =>', store.get('counter'));
+    console.log(`   session:abc expires in ${Math.round(store.ttl('session:abc') / 60000)} minutes (not reset by the restart)`);
 
-    // Now delete something and verify
-    console.log('\n🗑️ Deleting user:2 and adding user:3...');
-    store.delete('user:2');
-    store.set('user:3', { name: 'Charlie', role: 'guest' });
+    // Now delete something and verify - atomically, as one batch
+    console.log('\n🗑️ Deleting user:2 and adding user:3 (one WriteBatch)...');
+    store.write(new WriteBatch()
+        .delete('user:2')
+        .put('user:3', { name: 'Charlie', role: 'guest' }));
     store.close();
 
     console.log('\n💥 Simulating another crash...\n');
@@ -183,11 +338,26 @@ if (require.main === module) {
     // Show WAL contents
     console.log('\n📜 WAL file contents:');
     console.log('-'.repeat(50));
-    const walContent = fs.readFileSync(`${dataDir}/wal.log`, 'utf8');
-    walContent.split('\n').filter(l => l).forEach((line, i) => {
-        const entry = JSON.parse(line);
-        console.log(`   ${i + 1}. ${entry.op} ${entry.key}`);
+    const wal = new WriteAheadLog(`${dataDir}/wal.log`);
+    wal.readEntries().entries.forEach((entry, i) => {
+        const keys = entry.op === 'BATCH'
+            ? [...entry.batch].map(op => `${op.type} ${op.key}`).join(', ')
+            : entry.key;
+        console.log(`   ${i + 1}. ${entry.op} ${keys}`);
     });
+    wal.close();
+
+    // Simulate a power cut in the middle of an append
+    console.log('\n🔌 Simulating a torn write (half a record at the end)...');
+    const walSize = fs.statSync(`${dataDir}/wal.log`).size;
+    fs.appendFileSync(`${dataDir}/wal.log`, Buffer.from([0x2a, 0x00, 0x00, 0x00, 0x13, 0x37]));
+    console.log(`   WAL grew from ${walSize} to ${fs.statSync(`${dataDir}/wal.log`).size} bytes`);
+
+    console.log('\n📝 Session 4: Recovering with a torn tail...');
+    store = new DurableKVStore(dataDir);
+    console.log('   All keys:', store.keys());
+    console.log(`   WAL size after recovery: ${store.stats().walSize} bytes`);
+    store.close();
 
     console.log('\n' + '='.repeat(50));
     console.log('✅ Step 2 Complete!\n');
@@ -195,7 +365,9 @@ if (require.main === module) {
     console.log('   - Write-Ahead Log pattern for durability');
     console.log('   - fsync() to force writes to disk');
     console.log('   - Crash recovery by replaying the log');
+    console.log('   - Checksums to detect torn writes and corruption');
     console.log('   - Tombstones for delete operations');
+    console.log('   - WriteBatch: several operations in one atomic record');
     console.log('\n⚠️ Limitation: Log grows forever, no range queries!');
     console.log('   → Step 3 will add sorted MemTable for range queries');
     console.log('   → Step 5 will add compaction to reclaim space');
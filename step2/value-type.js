@@ -0,0 +1,53 @@
+/**
+ * ============================================================================
+ * STEP 2: Value Types - What an Entry IS, Not What It Holds
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand why a delete must be recorded as a TYPE, never as a
+ * special value.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM WITH MARKER VALUES
+ *    A delete has to be written down (older versions of the key may
+ *    live in older files), so it's tempting to store a special value:
+ *    - a string like '__TOMBSTONE__' → a user who stores that string
+ *      gets a delete back
+ *    - a Symbol → only equal to itself: two modules with their own
+ *      Symbol('TOMBSTONE') don't recognize each other's deletes, and a
+ *      Symbol can't be written to disk at all
+ *
+ * 2. A TAG NEXT TO THE VALUE
+ *    Every entry carries its type, in memory and on disk:
+ *
+ *      { key: 'a', type: VALUE,    value: 1,         seq: 7 }
+ *      { key: 'a', type: DELETION, value: undefined, seq: 8 }
+ *
+ *    The value is only ever user data, so no value can collide with a
+ *    marker. The WAL records it as the record type (SET / DELETE) or the
+ *    batch operation ('put' / 'delete'), the MemTable as a field of each
+ *    skip list node, an SSTable as the type byte of each entry.
+ *
+ * 3. THE TYPES
+ *    ┌────────────────┬──────────────────────────────────────────────────┐
+ *    │ VALUE          │ the key's value                                  │
+ *    │ DELETION       │ the key is deleted (a "tombstone")               │
+ *    │ MERGE          │ an operand to combine with older versions        │
+ *    │ RANGE_DELETION │ every key from this key up to an end key is gone │
+ *    └────────────────┴──────────────────────────────────────────────────┘
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's ValueType (db/dbformat.h) is kTypeDeletion = 0 and
+ *    kTypeValue = 1, packed next to the sequence number of every entry.
+ *    RocksDB adds kTypeMerge and kTypeRangeDeletion.
+ */
+
+const VALUE_TYPE = Object.freeze({
+    DELETION: 0,
+    VALUE: 1,
+    MERGE: 2,
+    RANGE_DELETION: 3,
+});
+
+module.exports = { VALUE_TYPE };
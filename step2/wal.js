@@ -32,15 +32,67 @@
  *    If crash at step 4, log has the data, we replay on restart.
  * 
  * 3. LOG FORMAT
- *    We use a simple line-based JSON format:
+ *    Each operation is one framed binary record (see log-format.js):
  *    
- *    {"op":"SET","key":"user:1","value":{"name":"Alice"},"ts":1234567890}
- *    {"op":"SET","key":"user:2","value":{"name":"Bob"},"ts":1234567891}
- *    {"op":"DELETE","key":"user:1","ts":1234567892}
+ *    [length][CRC32][type=SET]    {"key":"user:1","value":{"name":"Alice"},"ts":1234567890}
+ *    [length][CRC32][type=SET]    {"key":"user:2","value":{"name":"Bob"},"ts":1234567891}
+ *    [length][CRC32][type=DELETE] {"key":"user:1","ts":1234567892}
  *    
- *    Each line is a complete, parseable JSON object.
+ *    Buffer keys and values are written as base64 (see json-bytes.js).
+ *    That's deliberate: about a third bigger than raw bytes, but every
+ *    record stays one readable JSON payload, and in the LSM Tree (Step 5)
+ *    a segment only lives until its MemTable is flushed to an SSTable,
+ *    which stores the raw bytes.
+ *    
+ *    The checksum lets recovery tell a torn (half-written) tail apart from
+ *    real corruption instead of silently skipping damaged entries.
  *    This is called "append-only log" or "journal".
  * 
+ *    Older versions wrote one JSON object per line. Those logs are still
+ *    readable, and recover() upgrades them to the binary format.
+ * 
+ * 4. SYNC POLICIES - Durability vs Throughput
+ *    fsync() is the expensive part of every write. The syncPolicy option
+ *    decides when we pay for it, and therefore which writes can be lost:
+ *    
+ *    ┌────────────┬──────────────────────────────┬──────────────────────────────────┐
+ *    │ Policy     │ When we fsync                │ What a crash can lose            │
+ *    ├────────────┼──────────────────────────────┼──────────────────────────────────┤
+ *    │ 'always'   │ Inside every logSet/Delete   │ Nothing that was acknowledged    │
+ *    │ 'group'    │ Once per batch of concurrent │ Writes whose returned promise    │
+ *    │            │ writers (group commit)       │ has not resolved yet (see below) │
+ *    │ 'interval' │ Every syncIntervalMs         │ Up to syncIntervalMs of writes   │
+ *    │            │                              │ (on power loss / OS crash)       │
+ *    │ 'none'     │ Never - the OS decides       │ Anything the OS hadn't flushed   │
+ *    │            │                              │ (often ~30s, on power loss)      │
+ *    └────────────┴──────────────────────────────┴──────────────────────────────────┘
+ *    
+ *    Only a caller that WAITS for that promise gets a durable
+ *    acknowledgement: Step 5's db.promises does. The sync set()/delete()
+ *    of DurableKVStore and LSMTree return before the fsync under 'group'
+ *    - like 'interval' and 'none' - unless you await their sync().
+ *    
+ *    Every policy writes the record to the OS immediately, so a crash of
+ *    just our PROCESS loses nothing. Only power loss or an OS crash can
+ *    lose data that was written but not yet fsynced.
+ * 
+ *    GROUP COMMIT: while one fsync is running, new writers queue up.
+ *    When it finishes, ONE fsync makes the whole queue durable:
+ *    
+ *      writer A ──write──┐
+ *      writer B ──write──┼──→ fsync #1 ──→ A, B, C acknowledged
+ *      writer C ──write──┘
+ *      writer D ──write──┐    (arrived during fsync #1)
+ *      writer E ──write──┴──→ fsync #2 ──→ D, E acknowledged
+ * 
+ * 5. ASYNC APPENDS
+ *    logSetAsync() / logDeleteAsync() / logMergeAsync() /
+ *    logDeleteRangeAsync() / logBatchAsync()
+ *    write the same records through an fs/promises FileHandle, so a
+ *    server's event loop keeps running while the disk works. The caller must not start the
+ *    next append before the previous one resolved - records would land
+ *    in whatever order the writes finish.
+ * 
  * 🔗 HOW THIS RELATES TO LEVELDB:
  *    - LevelDB uses WAL for the same reason
  *    - RocksDB (LevelDB's successor) has multiple WAL options
@@ -49,22 +101,70 @@
  */
 
 const fs = require('fs');
+const fsp = require('fs/promises');
 const path = require('path');
+const { LOG_MAGIC, RECOVERY_MODES, encodeRecord, isBinaryLog, readRecords } = require('./log-format');
+const { WriteBatch } = require('./write-batch');
+const { packBytes, unpackBytes } = require('./json-bytes');
+
+// Record types stored in the record header. SET, DELETE, MERGE and
+// DELETE_RANGE carry the entry's value type (VALUE / DELETION / MERGE /
+// RANGE_DELETION, see value-type.js) - a delete is never a special value
+// inside a SET
+const RECORD_TYPE = {
+    SET: 1,
+    DELETE: 2,
+    BATCH: 3,
+    MERGE: 4,
+    DELETE_RANGE: 5,
+};
+
+// When to fsync (see "SYNC POLICIES" above)
+const SYNC_POLICIES = ['always', 'group', 'interval', 'none'];
 
 class WriteAheadLog {
     /**
      * Create a new WAL instance
      * 
      * @param {string} logPath - Path to the log file
+     * @param {object} options - Configuration options
+     * @param {string} options.recoveryMode - How recover() treats damaged records:
+     *                                        'tolerate-tail' (default), 'absolute' or 'skip'
+     * @param {string} options.syncPolicy - 'always' (default), 'group', 'interval' or 'none'
+     * @param {number} options.syncIntervalMs - fsync period for the 'interval' policy (default: 100)
      * 
      * The log file is append-only:
      * - We never modify existing entries
      * - We only add new entries at the end
      * - This is very fast! Sequential writes are much faster than random writes
      */
-    constructor(logPath) {
+    constructor(logPath, options = {}) {
         this.logPath = logPath;
         this.fd = null; // File descriptor for the log file
+        this._handle = null; // Promise of a FileHandle for async appends (opened on first use)
+        this.recoveryMode = options.recoveryMode || 'tolerate-tail';
+
+        this.syncPolicy = options.syncPolicy || 'always';
+        this.syncIntervalMs = options.syncIntervalMs || 100;
+
+        if (!RECOVERY_MODES.includes(this.recoveryMode)) {
+            throw new Error(`Unknown recovery mode: ${this.recoveryMode}`);
+        }
+        if (!SYNC_POLICIES.includes(this.syncPolicy)) {
+            throw new Error(`Unknown sync policy: ${this.syncPolicy}`);
+        }
+
+        // Sync bookkeeping
+        this._dirty = false;        // Written to the OS but not fsynced yet
+        this._syncWaiters = [];     // Group commit: writers waiting for the next fsync
+        this._syncInFlight = false; // An async fsync is running
+        this._closeAfterSync = false;
+        this._syncTimer = null;
+        this._syncError = null;     // A failed fsync poisons the log (see _startSync)
+        this._counters = { writes: 0, syncs: 0 };
+
+        // Report of the last recover() call (torn tail, skipped records)
+        this.lastRecovery = null;
 
         // Create directory if it doesn't exist
         const dir = path.dirname(logPath);
@@ -72,9 +172,30 @@ class WriteAheadLog {
             fs.mkdirSync(dir, { recursive: true });
         }
 
+        // Old JSON-lines log? It is upgraded by recover()
+        this.legacy = this._isLegacyLog();
+
         // Open file in append mode ('a' = append)
         // This ensures we always write at the end
         this.fd = fs.openSync(this.logPath, 'a');
+
+        // Brand-new (or torn while being created) log → write the magic header
+        if (!this.legacy && fs.fstatSync(this.fd).size < LOG_MAGIC.length) {
+            fs.ftruncateSync(this.fd, 0);
+            fs.writeSync(this.fd, LOG_MAGIC);
+            fs.fsyncSync(this.fd);
+        }
+
+        // 'interval' policy: a background timer makes recent writes durable
+        if (this.syncPolicy === 'interval') {
+            this._syncTimer = setInterval(() => {
+                if (this._dirty && !this._syncInFlight) {
+                    this._startSync();
+                }
+            }, this.syncIntervalMs);
+            // Don't keep the process alive just for this timer
+            this._syncTimer.unref();
+        }
     }
 
     /**
@@ -82,23 +203,24 @@ class WriteAheadLog {
      * 
      * @param {string} key - The key being set
      * @param {any} value - The value being stored
+     * @param {number} seq - Sequence number of this write (optional)
+     * @param {number} expiresAt - When the key expires (optional, see expiry.js)
+     * @returns {Promise|undefined} With the 'group' policy, a promise that
+     *                              resolves once the record is fsynced
      * 
-     * Format: {"op":"SET","key":"...","value":...,"ts":...}
+     * Record: [header][type=SET] {"key":"...","value":...,"seq":...,"ts":...}
+     * (plus "expiresAt" for a key with a ttl)
      */
-    logSet(key, value) {
-        const entry = {
-            op: 'SET',
-            key,
-            value,
-            ts: Date.now() // Timestamp helps with debugging and ordering
-        };
-        this._appendEntry(entry);
+    logSet(key, value, seq, expiresAt) {
+        return this._appendRecord(RECORD_TYPE.SET, this._setPayload(key, value, seq, expiresAt));
     }
 
     /**
      * LOG A DELETE OPERATION
      * 
      * @param {string} key - The key being deleted
+     * @param {number} seq - Sequence number of this write (optional)
+     * @returns {Promise|undefined} Same as logSet()
      * 
      * 🤔 INTERESTING:
      * We log deletes too! This is important because:
@@ -106,40 +228,379 @@ class WriteAheadLog {
      * - Without this, deleted keys would "come back"
      * 
      * This "delete marker" is called a TOMBSTONE in database terminology.
-     * We'll see this again in Step 5 with SSTables!
+     * It's a record TYPE, not a special value (see value-type.js) - we'll
+     * see it again in Step 5 with SSTables!
+     */
+    logDelete(key, seq) {
+        return this._appendRecord(RECORD_TYPE.DELETE, this._deletePayload(key, seq));
+    }
+
+    /**
+     * LOG A MERGE OPERATION (see step5/merge-operator.js)
+     * 
+     * @param {string} key - The key being merged into
+     * @param {any} operand - The merge operand
+     * @param {number} seq - Sequence number of this write (optional)
+     * @returns {Promise|undefined} Same as logSet()
+     * 
+     * Record: [header][type=MERGE] {"key":"...","value":<operand>,"seq":...,"ts":...}
+     */
+    logMerge(key, operand, seq) {
+        return this._appendRecord(RECORD_TYPE.MERGE, this._setPayload(key, operand, seq));
+    }
+
+    /**
+     * LOG A RANGE DELETION (see step5/range-deletion.js)
+     * 
+     * @param {string} startKey - First key deleted
+     * @param {string} endKey - First key NOT deleted
+     * @param {number} seq - Sequence number of this write (optional)
+     * @returns {Promise|undefined} Same as logSet()
+     * 
+     * Record: [header][type=DELETE_RANGE] {"key":"<start>","end":"<end>","seq":...,"ts":...}
+     */
+    logDeleteRange(startKey, endKey, seq) {
+        return this._appendRecord(RECORD_TYPE.DELETE_RANGE, this._deleteRangePayload(startKey, endKey, seq));
+    }
+
+    /**
+     * LOG A WRITE BATCH as ONE record
+     * 
+     * @param {WriteBatch} batch - Operations to log atomically
+     * @param {number} seq - Sequence number of the first operation (optional);
+     *                       operation i gets seq + i
+     * @returns {Promise|undefined} Same as logSet()
+     * 
+     * Because the whole batch shares one checksum, recovery sees either
+     * every operation or none of them (see write-batch.js).
+     * 
+     * Payload: [sequence: 8 bytes, big-endian][batch.serialize()]
+     * (0 = no sequence number; real sequence numbers start at 1)
+     */
+    logBatch(batch, seq) {
+        return this._appendRecord(RECORD_TYPE.BATCH, this._batchPayload(batch, seq));
+    }
+
+    /**
+     * LOG A SET OPERATION without blocking
+     * 
+     * @returns {Promise} Resolves once the record is written - and fsynced,
+     *                    with the 'always' policy (otherwise see sync())
+     */
+    logSetAsync(key, value, seq, expiresAt) {
+        return this._appendRecordAsync(RECORD_TYPE.SET, this._setPayload(key, value, seq, expiresAt));
+    }
+
+    /**
+     * LOG A DELETE OPERATION without blocking
+     * 
+     * @returns {Promise} Same as logSetAsync()
+     */
+    logDeleteAsync(key, seq) {
+        return this._appendRecordAsync(RECORD_TYPE.DELETE, this._deletePayload(key, seq));
+    }
+
+    /**
+     * LOG A MERGE OPERATION without blocking
+     * 
+     * @returns {Promise} Same as logSetAsync()
+     */
+    logMergeAsync(key, operand, seq) {
+        return this._appendRecordAsync(RECORD_TYPE.MERGE, this._setPayload(key, operand, seq));
+    }
+
+    /**
+     * LOG A RANGE DELETION without blocking
+     * 
+     * @returns {Promise} Same as logSetAsync()
+     */
+    logDeleteRangeAsync(startKey, endKey, seq) {
+        return this._appendRecordAsync(RECORD_TYPE.DELETE_RANGE, this._deleteRangePayload(startKey, endKey, seq));
+    }
+
+    /**
+     * LOG A WRITE BATCH without blocking
+     * 
+     * @returns {Promise} Same as logSetAsync()
      */
-    logDelete(key) {
+    logBatchAsync(batch, seq) {
+        return this._appendRecordAsync(RECORD_TYPE.BATCH, this._batchPayload(batch, seq));
+    }
+
+    /**
+     * @private
+     */
+    _setPayload(key, value, seq, expiresAt) {
+        const entry = {
+            key,
+            value,
+            seq,
+            ts: Date.now() // Timestamp helps with debugging and ordering
+        };
+        if (expiresAt !== undefined) {
+            entry.expiresAt = expiresAt;
+        }
+        return Buffer.from(JSON.stringify(packBytes(entry)));
+    }
+
+    /**
+     * @private
+     */
+    _deletePayload(key, seq) {
         const entry = {
-            op: 'DELETE',
             key,
+            seq,
+            ts: Date.now()
+        };
+        return Buffer.from(JSON.stringify(packBytes(entry)));
+    }
+
+    /**
+     * @private
+     */
+    _deleteRangePayload(startKey, endKey, seq) {
+        const entry = {
+            key: startKey,
+            end: endKey,
+            seq,
             ts: Date.now()
         };
-        this._appendEntry(entry);
+        return Buffer.from(JSON.stringify(packBytes(entry)));
+    }
+
+    /**
+     * @private
+     */
+    _batchPayload(batch, seq) {
+        const header = Buffer.alloc(8);
+        header.writeBigUInt64BE(BigInt(seq || 0));
+        return Buffer.concat([header, batch.serialize()]);
     }
 
     /**
-     * APPEND AN ENTRY TO THE LOG
+     * APPEND A RECORD TO THE LOG
      * 
      * This is the core of WAL:
-     * 1. Convert entry to JSON
-     * 2. Write to file (with newline)
-     * 3. fsync to ensure it's on disk
+     * 1. Frame the payload (length + CRC32 + type)
+     * 2. Write to file
+     * 3. fsync to ensure it's on disk (when depends on syncPolicy)
      * 
      * @private
      */
-    _appendEntry(entry) {
-        // Convert to JSON and add newline
-        const line = JSON.stringify(entry) + '\n';
+    _appendRecord(type, payload) {
+        this._checkAppendable();
+
+        // Frame the payload with a checksummed header
+        const record = encodeRecord(type, payload);
 
         // Write to file
-        fs.writeSync(this.fd, line);
+        fs.writeSync(this.fd, record);
+        this._counters.writes++;
+        this._dirty = true;
 
         // CRITICAL: fsync forces the OS to flush to disk!
         // Without this, data might still be in OS buffer and lost on power failure.
         // 
         // Trade-off: fsync is SLOW (5-10ms on SSD, 10-20ms on HDD)
-        // Some databases batch writes or use group commit to improve performance.
-        fs.fsyncSync(this.fd);
+        // 'group' shares one fsync between concurrent writers,
+        // 'interval' and 'none' trade durability for speed.
+        if (this.syncPolicy === 'always') {
+            fs.fsyncSync(this.fd);
+            this._counters.syncs++;
+            this._dirty = false;
+        } else if (this.syncPolicy === 'group') {
+            return this.sync();
+        }
+        return undefined;
+    }
+
+    /**
+     * APPEND A RECORD through a FileHandle (see "ASYNC APPENDS" above)
+     * 
+     * The handle is a second descriptor on the file, opened in append
+     * mode too - both kinds of appends land at the end. fsync works on
+     * the file, not the descriptor, so sync() covers both.
+     * 
+     * @private
+     */
+    async _appendRecordAsync(type, payload) {
+        this._checkAppendable();
+        if (this.fd === null) {
+            throw new Error(`WAL ${this.logPath} is closed`);
+        }
+
+        const record = encodeRecord(type, payload);
+        if (this._handle === null) {
+            this._handle = fsp.open(this.logPath, 'a');
+        }
+        const handle = await this._handle;
+
+        await handle.write(record);
+        const writes = ++this._counters.writes;
+        this._dirty = true;
+
+        if (this.syncPolicy === 'always') {
+            try {
+                await handle.sync();
+            } catch (err) {
+                this._syncError = err; // same as a failed group fsync
+                throw err;
+            }
+            this._counters.syncs++;
+            if (this._counters.writes === writes) {
+                this._dirty = false; // (unless a sync write came in meanwhile)
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _checkAppendable() {
+        if (this.legacy) {
+            throw new Error(`Call recover() before appending to legacy JSON log ${this.logPath}`);
+        }
+        if (this._syncError !== null) {
+            throw new Error(`WAL ${this.logPath} is unusable after a failed fsync: ${this._syncError.message}`);
+        }
+    }
+
+    /**
+     * SYNC - Make everything written so far durable
+     * 
+     * @returns {Promise} Resolves once an fsync that started AFTER all
+     *                    previous writes has completed
+     * 
+     * Callers that arrive while an fsync is running share the NEXT one -
+     * this is group commit. Works with every policy, so 'interval' or
+     * 'none' users can still force durability at important moments.
+     */
+    sync() {
+        if (this._syncError !== null) {
+            return Promise.reject(this._syncError);
+        }
+
+        return new Promise((resolve, reject) => {
+            this._syncWaiters.push({ resolve, reject });
+
+            if (!this._syncInFlight) {
+                // Wait until the current tick is done so every writer of
+                // this tick joins the same fsync
+                this._syncInFlight = true;
+                process.nextTick(() => this._startSync());
+            }
+        });
+    }
+
+    /**
+     * START ONE ASYNC FSYNC for all writers queued so far
+     * 
+     * @private
+     */
+    _startSync() {
+        if (this.fd === null) {
+            // close() already synced everything
+            this._syncInFlight = false;
+            return;
+        }
+
+        const waiters = this._syncWaiters;
+        this._syncWaiters = [];
+        this._syncInFlight = true;
+        this._dirty = false;
+
+        fs.fsync(this.fd, (err) => {
+            this._syncInFlight = false;
+            this._counters.syncs++;
+
+            // After a failed fsync the kernel may have DROPPED the dirty pages,
+            // and a later fsync can "succeed" without them. The only safe
+            // answer is to refuse all further writes.
+            if (err) {
+                this._syncError = err;
+            }
+
+            for (const waiter of waiters) {
+                if (err) {
+                    waiter.reject(err);
+                } else {
+                    waiter.resolve();
+                }
+            }
+
+            if (this._closeAfterSync) {
+                // close() was called while we were running
+                this._closeFd();
+            } else if (this._syncWaiters.length > 0) {
+                // Writers that arrived during this fsync → next group
+                this._startSync();
+            }
+        });
+    }
+
+    /**
+     * GET SYNC COUNTERS
+     * 
+     * writes / syncs shows how well group commit is batching.
+     */
+    syncStats() {
+        return {
+            policy: this.syncPolicy,
+            writes: this._counters.writes,
+            syncs: this._counters.syncs,
+        };
+    }
+
+    /**
+     * READ ALL ENTRIES in log order
+     * 
+     * @returns {object} {
+     *     entries: [{ op: 'SET' | 'DELETE' | 'MERGE', key, value, seq, ts } |
+     *               { op: 'DELETE_RANGE', key, end, seq, ts } | { op: 'BATCH', batch, seq }],
+     *     corruptions: [{ offset, length, reason }],
+     *     tailTruncated: boolean,
+     *     validLength: number,
+     * }
+     * 
+     * Damaged records are handled according to this.recoveryMode
+     * (see log-format.js). Throws if the mode says to abort.
+     */
+    readEntries() {
+        if (!fs.existsSync(this.logPath)) {
+            return { entries: [], corruptions: [], tailTruncated: false, validLength: 0 };
+        }
+
+        const content = fs.readFileSync(this.logPath);
+
+        if (this.legacy) {
+            return this._readLegacyEntries(content);
+        }
+
+        const result = readRecords(content, { mode: this.recoveryMode, source: this.logPath });
+        const entries = [];
+
+        for (const record of result.records) {
+            if (record.type === RECORD_TYPE.SET) {
+                entries.push({ op: 'SET', ...unpackBytes(JSON.parse(record.payload.toString())) });
+            } else if (record.type === RECORD_TYPE.DELETE) {
+                entries.push({ op: 'DELETE', ...unpackBytes(JSON.parse(record.payload.toString())) });
+            } else if (record.type === RECORD_TYPE.MERGE) {
+                entries.push({ op: 'MERGE', ...unpackBytes(JSON.parse(record.payload.toString())) });
+            } else if (record.type === RECORD_TYPE.DELETE_RANGE) {
+                entries.push({ op: 'DELETE_RANGE', ...unpackBytes(JSON.parse(record.payload.toString())) });
+            } else if (record.type === RECORD_TYPE.BATCH) {
+                entries.push({ op: 'BATCH', ...this._decodeBatch(record.payload) });
+            } else {
+                throw new Error(`${this.logPath}: unknown record type ${record.type} at offset ${record.offset}`);
+            }
+        }
+
+        return {
+            entries,
+            corruptions: result.corruptions,
+            tailTruncated: result.tailTruncated,
+            validLength: result.validLength,
+        };
     }
 
     /**
@@ -155,55 +616,296 @@ class WriteAheadLog {
      */
     recover() {
         const store = new Map();
+        this.replay(store);
+        return store;
+    }
 
+    /**
+     * REPLAY THE LOG into any target with set(key, value) / delete(key)
+     * (and merge(key, operand) / deleteRange(startKey, endKey) if the log
+     * has merges / range deletions)
+     * 
+     * @param {object} target - e.g. a Map or a MemTable
+     *                          (sequence numbers are passed as a third /
+     *                          second argument when the log has them,
+     *                          expiry times as a fourth argument to set())
+     * 
+     * Operations are applied in log order. A BATCH record is applied
+     * completely - if it was torn, it never made it past the checksum.
+     * 
+     * A torn tail is cut off so new records are appended after the last
+     * good one. A legacy JSON log is rewritten in the binary format.
+     */
+    replay(target) {
         // Check if log file exists
         if (!fs.existsSync(this.logPath)) {
             console.log('📝 No WAL found, starting fresh');
-            return store;
+            return;
         }
 
         console.log('🔄 Recovering from WAL...');
 
-        // Read the entire log file
-        const content = fs.readFileSync(this.logPath, 'utf8');
-        const lines = content.split('\n').filter(line => line.trim());
+        const result = this.readEntries();
 
         let setCount = 0;
         let deleteCount = 0;
+        let mergeCount = 0;
+        let deleteRangeCount = 0;
+        let batchCount = 0;
+
+        const merge = (key, operand, seq) => {
+            if (typeof target.merge !== 'function') {
+                throw new Error(`${this.logPath}: the log has merge operations, but they can only be replayed into an LSM Tree`);
+            }
+            target.merge(key, operand, seq);
+        };
+        const deleteRange = (startKey, endKey, seq) => {
+            if (typeof target.deleteRange !== 'function') {
+                throw new Error(`${this.logPath}: the log has range deletions, but they can only be replayed into an LSM Tree`);
+            }
+            target.deleteRange(startKey, endKey, seq);
+        };
 
         // Replay each entry
-        for (const line of lines) {
-            try {
-                const entry = JSON.parse(line);
-
-                if (entry.op === 'SET') {
-                    store.set(entry.key, entry.value);
-                    setCount++;
-                } else if (entry.op === 'DELETE') {
-                    store.delete(entry.key);
-                    deleteCount++;
+        for (const entry of result.entries) {
+            if (entry.op === 'SET') {
+                target.set(entry.key, entry.value, entry.seq, entry.expiresAt);
+                setCount++;
+            } else if (entry.op === 'DELETE') {
+                target.delete(entry.key, entry.seq);
+                deleteCount++;
+            } else if (entry.op === 'MERGE') {
+                merge(entry.key, entry.value, entry.seq);
+                mergeCount++;
+            } else if (entry.op === 'DELETE_RANGE') {
+                deleteRange(entry.key, entry.end, entry.seq);
+                deleteRangeCount++;
+            } else if (entry.op === 'BATCH') {
+                let i = 0;
+                for (const op of entry.batch) {
+                    const seq = entry.seq === undefined ? undefined : entry.seq + i++;
+                    if (op.type === 'put') {
+                        target.set(op.key, op.value, seq, op.expiresAt);
+                    } else if (op.type === 'merge') {
+                        merge(op.key, op.value, seq);
+                    } else if (op.type === 'deleteRange') {
+                        deleteRange(op.key, op.end, seq);
+                    } else {
+                        target.delete(op.key, seq);
+                    }
                 }
-            } catch (err) {
-                // If a line is corrupt, log and skip
-                // In production, you'd want better error handling
-                console.error(`⚠️ Skipping corrupt log entry: ${line}`);
+                batchCount++;
             }
         }
 
-        console.log(`✅ Recovered ${setCount} SETs, ${deleteCount} DELETEs`);
-        return store;
+        for (const corruption of result.corruptions) {
+            console.error(`⚠️ Skipped ${corruption.length} corrupted bytes at offset ${corruption.offset}`);
+        }
+
+        if (this.legacy) {
+            this._upgradeLegacyLog(result.entries);
+        } else if (result.tailTruncated) {
+            // Drop the torn record so the next append starts on a clean boundary
+            console.log(`✂️ Dropped torn tail after offset ${result.validLength}`);
+            fs.ftruncateSync(this.fd, result.validLength);
+        }
+
+        this.lastRecovery = {
+            entries: result.entries.length,
+            corruptions: result.corruptions,
+            tailTruncated: result.tailTruncated,
+        };
+
+        console.log(`✅ Recovered ${setCount} SETs, ${deleteCount} DELETEs, ` +
+            (mergeCount > 0 ? `${mergeCount} MERGEs, ` : '') +
+            (deleteRangeCount > 0 ? `${deleteRangeCount} DELETE_RANGEs, ` : '') + `${batchCount} BATCHes`);
+    }
+
+    /**
+     * DECODE A BATCH RECORD payload
+     * 
+     * Batches logged before sequence numbers existed are a bare JSON
+     * array; the 8-byte big-endian header never starts with '['.
+     * 
+     * @private
+     */
+    _decodeBatch(payload) {
+        if (payload[0] === '['.charCodeAt(0)) {
+            return { batch: WriteBatch.deserialize(payload), seq: undefined };
+        }
+
+        const seq = Number(payload.readBigUInt64BE(0));
+        return {
+            batch: WriteBatch.deserialize(payload.subarray(8)),
+            seq: seq === 0 ? undefined : seq,
+        };
+    }
+
+    /**
+     * DETECT A LEGACY JSON-LINES LOG
+     * 
+     * Old logs start with '{', binary logs start with LOG_MAGIC.
+     * 
+     * @private
+     */
+    _isLegacyLog() {
+        if (!fs.existsSync(this.logPath)) {
+            return false;
+        }
+
+        const head = Buffer.alloc(LOG_MAGIC.length);
+        const fd = fs.openSync(this.logPath, 'r');
+        const bytesRead = fs.readSync(fd, head, 0, head.length, 0);
+        fs.closeSync(fd);
+
+        const prefix = head.subarray(0, bytesRead);
+        return bytesRead > 0 && !isBinaryLog(prefix) && prefix.toString().trimStart().startsWith('{');
+    }
+
+    /**
+     * READ A LEGACY JSON-LINES LOG
+     * 
+     * No checksums here, so all we can detect is a line that doesn't parse.
+     * A final line without its newline is a torn tail; a bad line anywhere
+     * else is corruption and follows the same recovery modes.
+     * 
+     * @private
+     */
+    _readLegacyEntries(content) {
+        const text = content.toString('utf8');
+        const lines = text.split('\n');
+        const result = { entries: [], corruptions: [], tailTruncated: false, validLength: 0 };
+
+        let offset = 0;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const isLast = i === lines.length - 1;
+            const lineLength = Buffer.byteLength(line) + (isLast ? 0 : 1);
+
+            if (line.trim()) {
+                let entry = null;
+                try {
+                    entry = JSON.parse(line);
+                } catch (err) {
+                    entry = null;
+                }
+
+                if (entry === null && isLast) {
+                    if (this.recoveryMode === 'absolute') {
+                        throw new Error(`${this.logPath}: torn JSON line at offset ${offset}`);
+                    }
+                    result.tailTruncated = true;
+                    break;
+                }
+
+                if (entry === null) {
+                    if (this.recoveryMode !== 'skip') {
+                        throw new Error(`${this.logPath}: corrupted JSON line at offset ${offset}`);
+                    }
+                    result.corruptions.push({ offset, length: lineLength, reason: 'unparseable JSON line' });
+                } else {
+                    result.entries.push(entry);
+                }
+            }
+
+            offset += lineLength;
+            result.validLength = offset;
+        }
+
+        return result;
+    }
+
+    /**
+     * UPGRADE A LEGACY LOG to the binary format
+     * 
+     * Writes the recovered entries to a temp file, fsyncs it and renames it
+     * over the old log. rename() is atomic, so a crash leaves either the
+     * complete old log or the complete new one.
+     * 
+     * @private
+     */
+    _upgradeLegacyLog(entries) {
+        const tmpPath = `${this.logPath}.upgrade`;
+        const fd = fs.openSync(tmpPath, 'w');
+
+        fs.writeSync(fd, LOG_MAGIC);
+        for (const { op, ...entry } of entries) {
+            fs.writeSync(fd, encodeRecord(RECORD_TYPE[op], Buffer.from(JSON.stringify(entry))));
+        }
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+
+        fs.closeSync(this.fd);
+        fs.renameSync(tmpPath, this.logPath);
+        this.fd = fs.openSync(this.logPath, 'a');
+        this.legacy = false;
+
+        console.log('⬆️ Upgraded legacy JSON log to binary format');
     }
 
     /**
      * CLOSE THE LOG
      * 
      * Always close files when done to prevent resource leaks!
+     * A clean shutdown fsyncs whatever the sync policy left pending.
      */
     close() {
-        if (this.fd !== null) {
-            fs.closeSync(this.fd);
-            this.fd = null;
+        if (this._syncTimer !== null) {
+            clearInterval(this._syncTimer);
+            this._syncTimer = null;
+        }
+
+        if (this.fd === null || this._closeAfterSync) {
+            return;
         }
+
+        if (this._dirty || this._syncWaiters.length > 0) {
+            fs.fsyncSync(this.fd);
+            this._counters.syncs++;
+            this._dirty = false;
+        }
+
+        // Everything is durable now - release queued group-commit writers
+        const waiters = this._syncWaiters;
+        this._syncWaiters = [];
+        for (const waiter of waiters) {
+            waiter.resolve();
+        }
+
+        if (this._syncInFlight) {
+            // Can't close the fd under a running fsync; its callback will
+            this._closeAfterSync = true;
+        } else {
+            this._closeFd();
+        }
+
+        // Nothing is left to write through the async handle
+        this.closeHandle().catch(() => {});
+    }
+
+    /**
+     * CLOSE THE ASYNC APPEND HANDLE (if one was opened)
+     * 
+     * close() starts this too; await it to know the handle is released.
+     * 
+     * @returns {Promise}
+     */
+    async closeHandle() {
+        if (this._handle === null) {
+            return;
+        }
+        const handle = this._handle;
+        this._handle = null;
+        await (await handle).close();
+    }
+
+    /**
+     * @private
+     */
+    _closeFd() {
+        fs.closeSync(this.fd);
+        this.fd = null;
+        this._closeAfterSync = false;
     }
 
     /**
@@ -220,4 +922,50 @@ class WriteAheadLog {
     }
 }
 
-module.exports = { WriteAheadLog };
+module.exports = { WriteAheadLog, RECORD_TYPE, SYNC_POLICIES };
+
+/**
+ * ============================================================================
+ * 🧪 DEMO: Sync policies and group commit
+ * ============================================================================
+ */
+if (require.main === module) {
+    const dataDir = './step2-demo-data';
+    const WRITES = 200;
+
+    console.log('🚀 Step 2: WAL Sync Policies Demo\n');
+    console.log('='.repeat(50));
+
+    const run = async () => {
+        for (const syncPolicy of SYNC_POLICIES) {
+            if (fs.existsSync(dataDir)) {
+                fs.rmSync(dataDir, { recursive: true });
+            }
+
+            const wal = new WriteAheadLog(`${dataDir}/wal.log`, { syncPolicy });
+            const start = process.hrtime.bigint();
+
+            // 200 "concurrent" writers: with 'group' they share fsyncs
+            const pending = [];
+            for (let i = 0; i < WRITES; i++) {
+                pending.push(wal.logSet(`key:${i}`, { n: i }));
+            }
+            await Promise.all(pending);
+            await wal.sync();
+
+            const ms = Number(process.hrtime.bigint() - start) / 1e6;
+            const { writes, syncs } = wal.syncStats();
+            console.log(`   ${syncPolicy.padEnd(9)} ${writes} writes, ${String(syncs).padStart(3)} fsyncs, ${ms.toFixed(1)}ms`);
+            wal.close();
+        }
+
+        console.log('\n📚 What you learned:');
+        console.log('   - fsync dominates write latency');
+        console.log('   - Group commit shares one fsync between concurrent writers');
+        console.log('   - Weaker policies are faster but can lose recent writes on power loss');
+
+        fs.rmSync(dataDir, { recursive: true });
+    };
+
+    run();
+}
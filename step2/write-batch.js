@@ -0,0 +1,187 @@
+/**
+ * ============================================================================
+ * STEP 2: WriteBatch - All or Nothing
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how a database applies several writes ATOMICALLY.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    Many updates touch more than one key:
+ *
+ *      set('user:1',           { name: 'Alice', email: 'a@x.com' })
+ *      set('index:email:a@x.com', 'user:1')
+ *
+ *    If we crash between the two writes, recovery brings back the user
+ *    WITHOUT its index entry. The application state is now inconsistent.
+ *
+ * 2. THE SOLUTION: ONE LOG RECORD FOR THE WHOLE BATCH
+ *    Collect the operations in a WriteBatch, then write them to the WAL
+ *    as a SINGLE checksummed record:
+ *
+ *    [length][CRC32][type=BATCH] [seq][{put user:1}, {put index:email:...}]
+ *
+ *    The record checksum covers every operation, so after a crash the
+ *    record is either complete (replay ALL of it) or torn (replay NONE).
+ *
+ * 3. USAGE
+ *    const batch = new WriteBatch()
+ *      .put('user:1', { name: 'Alice' })
+ *      .put('index:email:a@x.com', 'user:1')
+ *      .delete('index:email:old@x.com');
+ *    db.write(batch);
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's WriteBatch works the same way - in fact EVERY LevelDB write
+ *    is a batch, even a single Put().
+ */
+
+const { packBytes, unpackBytes } = require('./json-bytes');
+const { expiryFor } = require('./expiry');
+
+class WriteBatch {
+    constructor() {
+        /**
+         * Operations in the order they were added.
+         * Later operations on the same key win, just like separate writes.
+         */
+        this.operations = [];
+    }
+
+    /**
+     * PUT - Queue a set operation
+     *
+     * Keys and values are encoded (and checked) by db.write(). A ttl
+     * becomes an expiry time right here (see expiry.js), so write the
+     * batch soon after building it.
+     *
+     * @param {string|Buffer} key
+     * @param {any} value
+     * @param {object} options - { keyEncoding, valueEncoding, ttl } for
+     *                           this operation only
+     * @returns {WriteBatch} this (for chaining)
+     */
+    put(key, value, options) {
+        if (options === undefined) {
+            this.operations.push({ type: 'put', key, value });
+            return this;
+        }
+        const op = { type: 'put', key, value, options };
+        const expiresAt = expiryFor(options.ttl);
+        if (expiresAt !== undefined) {
+            op.expiresAt = expiresAt;
+        }
+        this.operations.push(op);
+        return this;
+    }
+
+    /**
+     * MERGE - Queue a merge operation (see step5/merge-operator.js)
+     *
+     * @param {string|Buffer} key
+     * @param {any} operand - Combined with the key's value by the
+     *                        database's merge operator
+     * @param {object} options - { keyEncoding, valueEncoding } for this
+     *                           operation only
+     * @returns {WriteBatch} this (for chaining)
+     */
+    merge(key, operand, options) {
+        this.operations.push(options === undefined
+            ? { type: 'merge', key, value: operand }
+            : { type: 'merge', key, value: operand, options });
+        return this;
+    }
+
+    /**
+     * DELETE - Queue a delete operation
+     *
+     * @param {string|Buffer} key
+     * @param {object} options - { keyEncoding } for this operation only
+     * @returns {WriteBatch} this (for chaining)
+     */
+    delete(key, options) {
+        this.operations.push(options === undefined
+            ? { type: 'delete', key }
+            : { type: 'delete', key, options });
+        return this;
+    }
+
+    /**
+     * DELETE RANGE - Queue the deletion of every key in [startKey, endKey)
+     * (see step5/range-deletion.js)
+     *
+     * @param {string|Buffer} startKey - First key deleted
+     * @param {string|Buffer} endKey - First key NOT deleted
+     * @param {object} options - { keyEncoding } for this operation only
+     * @returns {WriteBatch} this (for chaining)
+     */
+    deleteRange(startKey, endKey, options) {
+        this.operations.push(options === undefined
+            ? { type: 'deleteRange', key: startKey, end: endKey }
+            : { type: 'deleteRange', key: startKey, end: endKey, options });
+        return this;
+    }
+
+    /**
+     * CLEAR - Drop every queued operation so the batch can be reused
+     *
+     * @returns {WriteBatch} this (for chaining)
+     */
+    clear() {
+        this.operations = [];
+        return this;
+    }
+
+    /**
+     * Number of queued operations
+     */
+    get length() {
+        return this.operations.length;
+    }
+
+    /**
+     * ITERATE operations in insertion order
+     *
+     * @returns {Generator} Yields { type: 'put' | 'merge' | 'delete' |
+     *                       'deleteRange', key, value?, end?, expiresAt?,
+     *                       options? }
+     */
+    *[Symbol.iterator]() {
+        yield* this.operations;
+    }
+
+    /**
+     * SERIALIZE to bytes (this is what goes into the WAL record)
+     *
+     * Per-operation options are not serialized: the database logs
+     * batches of already encoded operations.
+     *
+     * @returns {Buffer}
+     */
+    serialize() {
+        return Buffer.from(JSON.stringify(
+            this.operations.map(({ options, ...op }) => packBytes(op))));
+    }
+
+    /**
+     * DESERIALIZE a batch written by serialize()
+     *
+     * @param {Buffer|string} data
+     * @returns {WriteBatch}
+     */
+    static deserialize(data) {
+        const batch = new WriteBatch();
+        for (const op of JSON.parse(data.toString()).map(unpackBytes)) {
+            if (!['put', 'merge', 'delete', 'deleteRange'].includes(op.type)) {
+                throw new Error(`Unknown batch operation: ${op.type}`);
+            }
+            // Already an expiry time (if any) - kept as it was logged
+            batch.operations.push(op);
+        }
+        return batch;
+    }
+}
+
+module.exports = { WriteBatch };
@@ -0,0 +1,183 @@
+/**
+ * ============================================================================
+ * STEP 3: Comparators - What "Sorted" Means
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand why every part of a sorted store must agree on ONE key order.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. ONE ORDER, EVERYWHERE
+ *    The MemTable sorts keys, the SSTable writer stores them in that
+ *    order, and readers binary-search them assuming that order. If two
+ *    of them disagree, a key lands where the search never looks - it is
+ *    silently "lost". So the order is ONE object, the comparator, handed
+ *    to every sorted structure.
+ *
+ * 2. BYTEWISE (the default)
+ *    Keys are compared by their UTF-8 bytes, which is the same as
+ *    comparing Unicode code points. Two tempting alternatives are wrong:
+ *    - localeCompare: depends on the locale and ICU version, so a file
+ *      written on one machine may be "unsorted" on another
+ *    - JS `<`: compares UTF-16 code units, which puts emoji (surrogate
+ *      pairs, 0xD800-0xDFFF) BEFORE characters like '｡' (0xFF61)
+ *
+ *    bytewise('a', 'b') < 0     bytewise('｡', '😀') < 0     ('｡' < '😀' is false!)
+ *
+ * 3. CUSTOM COMPARATORS
+ *    A comparator is { name, compare(a, b) } with compare returning
+ *    < 0, 0 or > 0. It must be a consistent total order, and return 0
+ *    only for identical keys.
+ *
+ *    Every SSTable records its comparator's NAME, and opening it with a
+ *    different one is refused - the order of a written file can't change.
+ *    So change the name whenever the order changes.
+ *
+ * 4. KEYS ARE BYTES
+ *    A key is a string or a Buffer - on disk both are just bytes, so
+ *    'abc' and Buffer.from('abc') are the SAME key. To keep one form per
+ *    key, keys are normalized: bytes that are valid UTF-8 become a
+ *    string, anything else (e.g. a binary id) stays a Buffer. That's also
+ *    how keys come back from disk, so a comparator sees the same form
+ *    wherever the key lives (custom ones must handle both, if the
+ *    database stores binary keys).
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's Comparator has Name() and Compare(); the default is
+ *    "leveldb.BytewiseComparator", and a database opened with a comparator
+ *    of another name fails with "comparator name mismatch".
+ */
+
+// buffer.isUtf8() needs Node 18.14+; older versions round-trip the bytes
+const isUtf8 = require('buffer').isUtf8
+    || (bytes => Buffer.from(bytes.toString('utf8'), 'utf8').equals(bytes));
+
+/**
+ * BYTEWISE COMPARE two keys: the order of their (UTF-8) bytes
+ *
+ * Two strings are compared without encoding them: by UTF-16 code
+ * units, but with surrogates (0xD800-0xDFFF) moved above 0xE000-0xFFFF -
+ * which turns code unit order into code point (= UTF-8 byte) order.
+ *
+ * @param {string|Buffer} a
+ * @param {string|Buffer} b
+ * @returns {number} < 0 if a sorts first, 0 if equal, > 0 if b sorts first
+ */
+function bytewiseCompare(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (typeof a !== 'string' || typeof b !== 'string') {
+        return Buffer.compare(keyToBuffer(a), keyToBuffer(b));
+    }
+
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        let x = a.charCodeAt(i);
+        let y = b.charCodeAt(i);
+        if (x !== y) {
+            if (x >= 0xD800 && y >= 0xD800) {
+                x = x >= 0xE000 ? x - 0x800 : x + 0x2000;
+                y = y >= 0xE000 ? y - 0x800 : y + 0x2000;
+            }
+            return x - y;
+        }
+    }
+    return a.length - b.length;
+}
+
+const BytewiseComparator = {
+    name: 'leveldb.BytewiseComparator',
+    compare: bytewiseCompare,
+};
+
+/**
+ * NORMALIZE A KEY: a string, or a Buffer if it isn't valid UTF-8
+ *
+ * Buffers are copied, so changing one after a write can't change the
+ * stored key.
+ *
+ * @param {string|Buffer|Uint8Array} key
+ * @returns {string|Buffer}
+ */
+function normalizeKey(key) {
+    if (typeof key === 'string') {
+        return key;
+    }
+    if (key instanceof Uint8Array) {
+        return keyFromBuffer(Buffer.from(key.buffer, key.byteOffset, key.byteLength));
+    }
+    throw new Error('Key must be a string or Buffer');
+}
+
+/**
+ * KEY → BYTES
+ *
+ * @param {string|Buffer} key
+ * @returns {Buffer}
+ */
+function keyToBuffer(key) {
+    return typeof key === 'string' ? Buffer.from(key, 'utf8') : key;
+}
+
+/**
+ * BYTES → KEY (normalized; never shares memory with bytes)
+ *
+ * @param {Buffer} bytes
+ * @returns {string|Buffer}
+ */
+function keyFromBuffer(bytes) {
+    return isUtf8(bytes) ? bytes.toString('utf8') : Buffer.from(bytes);
+}
+
+/**
+ * CHECK A COMPARATOR passed in as an option
+ *
+ * @param {object} comparator - { name, compare }, or undefined for bytewise
+ * @returns {object} The comparator
+ */
+function checkComparator(comparator = BytewiseComparator) {
+    if (comparator === null || typeof comparator !== 'object' ||
+        typeof comparator.name !== 'string' || comparator.name === '' ||
+        typeof comparator.compare !== 'function') {
+        throw new Error('A comparator must be { name: string, compare: (a, b) => number }');
+    }
+    return comparator;
+}
+
+module.exports = {
+    BytewiseComparator,
+    bytewiseCompare,
+    checkComparator,
+    normalizeKey,
+    keyToBuffer,
+    keyFromBuffer,
+};
+
+/**
+ * ============================================================================
+ * 🧪 DEMO
+ * ============================================================================
+ */
+if (require.main === module) {
+    console.log('🚀 Step 3: Comparator Demo\n');
+
+    const keys = ['user:😀', 'user:｡', 'user:b', 'user:a', 'user:é'];
+    const show = sorted => sorted.map(key => JSON.stringify(key)).join('  ');
+
+    console.log('JS `<` (UTF-16 code units):');
+    console.log(`   ${show([...keys].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)))}`);
+    console.log('Bytewise (UTF-8 bytes):');
+    console.log(`   ${show([...keys].sort(bytewiseCompare))}`);
+
+    // A custom order: newest-first timestamps by reversing bytewise
+    const reverse = {
+        name: 'demo.ReverseBytewiseComparator',
+        compare: (a, b) => bytewiseCompare(b, a),
+    };
+    console.log(`Custom "${reverse.name}":`);
+    console.log(`   ${show(['ts:2024', 'ts:2026', 'ts:2025'].sort(checkComparator(reverse).compare))}`);
+
+    console.log('\n✅ Demo complete!');
+}
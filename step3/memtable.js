@@ -29,23 +29,49 @@
  *    └────────────┘     └────────────┘     └────────────┘
  *                            │
  *                       When full!
+ * 
+ * 4. SEQUENCE NUMBERS
+ *    When the LSM Tree passes a sequence number with each write, the
+ *    MemTable keeps EVERY version (newest first) instead of overwriting.
+ *    Readers holding an older snapshot can still see the value that was
+ *    current when their snapshot was taken.
+ * 
+ * 5. VALUE TYPES
+ *    Every entry is tagged with what it is - a value or a deletion (see
+ *    step2/value-type.js) - so reads return { type, value } entries and
+ *    no stored value can be mistaken for a delete.
+ * 
+ * 6. EXPIRY
+ *    A write with a ttl keeps its expiry time (see step2/expiry.js) in
+ *    the entry: { key, type, value, seq, expiresAt }. The MemTable only
+ *    stores it - the LSM Tree decides what "expired" means on read.
+ * 
+ * 7. RANGE DELETIONS
+ *    A deleteRange(start, end) covers keys the skip list may not even
+ *    hold, so it goes into a separate list, flushed into the SSTable's
+ *    range deletion block (see step5/range-deletion.js).
  */
 
 const { SkipList } = require('./skiplist');
+const { VALUE_TYPE } = require('../step2/value-type');
 
 class MemTable {
     /**
      * Create a new MemTable
      * 
      * @param {number} maxSizeBytes - Maximum size before flush (default: 4MB)
+     * @param {object} comparator - Key order (default: bytewise, see comparator.js)
      * 
      * LevelDB default: 4MB
      * RocksDB allows tuning this based on workload
      */
-    constructor(maxSizeBytes = 4 * 1024 * 1024) {
-        this.skipList = new SkipList();
+    constructor(maxSizeBytes = 4 * 1024 * 1024, comparator = undefined) {
+        this.skipList = new SkipList(undefined, undefined, comparator);
         this.maxSizeBytes = maxSizeBytes;
         this.currentSizeBytes = 0;
+
+        // Range tombstones { start, end, seq }, in write order
+        this.rangeDeletions = [];
     }
 
     /**
@@ -53,21 +79,90 @@ class MemTable {
      * 
      * @param {string} key
      * @param {any} value
+     * @param {number} seq - Sequence number (optional, keeps older versions)
+     * @param {number} expiresAt - When the entry expires (optional)
+     * @returns {boolean} True if memtable should be flushed
+     */
+    set(key, value, seq, expiresAt) {
+        return this.add(VALUE_TYPE.VALUE, key, value, seq, expiresAt);
+    }
+
+    /**
+     * DELETE a key (using tombstone marker)
+     * 
+     * 🤔 IMPORTANT: We don't actually delete!
+     * 
+     * In a MemTable, a "delete" is recorded as an entry of type DELETION
+     * (a "tombstone"). Why? Because:
+     * 1. The key might exist in older SSTables on disk
+     * 2. We need to remember "this key is deleted"
+     * 3. The actual cleanup happens during compaction (Step 5)
+     * 
+     * @param {string} key
+     * @param {number} seq - Sequence number (optional)
+     */
+    delete(key, seq) {
+        return this.add(VALUE_TYPE.DELETION, key, undefined, seq);
+    }
+
+    /**
+     * MERGE an operand into a key (see step5/merge-operator.js)
+     * 
+     * Stored as a new version of type MERGE - combining it with the
+     * older versions is the reader's job.
+     * 
+     * @param {string} key
+     * @param {any} operand
+     * @param {number} seq - Sequence number
+     * @returns {boolean} True if memtable should be flushed
+     */
+    merge(key, operand, seq) {
+        return this.add(VALUE_TYPE.MERGE, key, operand, seq);
+    }
+
+    /**
+     * DELETE EVERY KEY in [startKey, endKey) (see step5/range-deletion.js)
+     * 
+     * Hides the versions older than seq of every key in the range - here
+     * and in every older SSTable.
+     * 
+     * @param {string} startKey - First key deleted
+     * @param {string} endKey - First key NOT deleted
+     * @param {number} seq - Sequence number
      * @returns {boolean} True if memtable should be flushed
      */
-    set(key, value) {
+    deleteRange(startKey, endKey, seq) {
+        this.rangeDeletions.push({ start: startKey, end: endKey, seq });
+        this.currentSizeBytes += this._estimateSize(startKey, VALUE_TYPE.RANGE_DELETION, endKey);
+        return this.shouldFlush();
+    }
+
+    /**
+     * ADD an entry of any type (set(), delete() and merge() are shortcuts)
+     * 
+     * @param {number} type - VALUE_TYPE (see step2/value-type.js)
+     * @param {string} key
+     * @param {any} value
+     * @param {number} seq - Sequence number (optional, keeps older versions)
+     * @param {number} expiresAt - When the entry expires (optional)
+     * @returns {boolean} True if memtable should be flushed
+     */
+    add(type, key, value, seq, expiresAt) {
         // Estimate size of this entry
-        const entrySize = this._estimateSize(key, value);
+        const entrySize = this._estimateSize(key, type, value);
 
-        // Check if already exists (update vs insert)
-        const existingValue = this.skipList.get(key);
-        if (existingValue !== undefined) {
-            // Remove old size estimate
-            this.currentSizeBytes -= this._estimateSize(key, existingValue);
+        // Unversioned: check if already exists (update vs insert)
+        // Versioned: every write is a new node, nothing is replaced
+        if (seq === undefined) {
+            const existing = this.skipList.find(key);
+            if (existing !== undefined) {
+                // Remove old size estimate
+                this.currentSizeBytes -= this._estimateSize(key, existing.type, existing.value);
+            }
         }
 
         // Insert into skip list
-        this.skipList.set(key, value);
+        this.skipList.set(key, value, seq, type, expiresAt);
         this.currentSizeBytes += entrySize;
 
         // Return true if we've exceeded size limit
@@ -75,32 +170,65 @@ class MemTable {
     }
 
     /**
-     * DELETE a key (using tombstone marker)
-     * 
-     * 🤔 IMPORTANT: We don't actually delete!
+     * APPLY A WRITE BATCH
      * 
-     * In a MemTable, a "delete" is recorded as a special TOMBSTONE value.
-     * Why? Because:
-     * 1. The key might exist in older SSTables on disk
-     * 2. We need to remember "this key is deleted"
-     * 3. The actual cleanup happens during compaction (Step 5)
+     * @param {WriteBatch} batch - See step2/write-batch.js
+     * @param {number} seq - Sequence number of the first operation (optional);
+     *                       operation i gets seq + i
+     * @returns {boolean} True if memtable should be flushed
      * 
-     * LevelDB uses a special value type to mark deletions.
-     * We'll use a special symbol for simplicity.
+     * We only check the size limit AFTER the whole batch is applied,
+     * so a batch is never split across two memtables.
      */
-    delete(key) {
-        // Use a symbol as tombstone marker
-        return this.set(key, MemTable.TOMBSTONE);
+    write(batch, seq) {
+        let i = 0;
+        for (const op of batch) {
+            const opSeq = seq === undefined ? undefined : seq + i++;
+            if (op.type === 'put') {
+                this.set(op.key, op.value, opSeq, op.expiresAt);
+            } else if (op.type === 'merge') {
+                this.merge(op.key, op.value, opSeq);
+            } else if (op.type === 'deleteRange') {
+                this.deleteRange(op.key, op.end, opSeq);
+            } else {
+                this.delete(op.key, opSeq);
+            }
+        }
+        return this.shouldFlush();
     }
 
     /**
      * GET a value
      * 
      * @param {string} key
-     * @returns {any} Value, TOMBSTONE (means deleted), or undefined (not found)
+     * @param {number} seq - Read as of this sequence number (optional)
+     * @returns {object|undefined} The newest entry { key, type, value, seq, expiresAt }
+     *                             (type DELETION = deleted), or undefined
+     *                             (not found)
+     */
+    get(key, seq) {
+        return this.skipList.find(key, seq);
+    }
+
+    /**
+     * VERSIONS a read needs: newest first, from the one get() returns down
+     * to the first that isn't a merge operand
+     * 
+     * @param {string} key
+     * @param {number} seq - Read as of this sequence number (optional)
+     * @returns {Array} Entries (empty if not found)
      */
-    get(key) {
-        return this.skipList.get(key);
+    versions(key, seq) {
+        const versions = [];
+        let node = this.skipList.find(key, seq);
+        while (node !== undefined && node !== null && this.skipList.compare(node.key, key) === 0) {
+            versions.push(node);
+            if (node.type !== VALUE_TYPE.MERGE) {
+                break;
+            }
+            node = node.forward[0];
+        }
+        return versions;
     }
 
     /**
@@ -108,10 +236,20 @@ class MemTable {
      * 
      * @param {string} startKey
      * @param {string} endKey
-     * @returns {Array} Entries in range (may include tombstones!)
+     * @param {number} seq - Read as of this sequence number (optional)
+     * @returns {Array} Entries in range (may include deletions!)
+     */
+    range(startKey, endKey, seq) {
+        return this.skipList.range(startKey, endKey, seq);
+    }
+
+    /**
+     * CURSOR over every version, in sorted order
+     * 
+     * @returns {SkipListIterator} (may include deletions!)
      */
-    range(startKey, endKey) {
-        return this.skipList.range(startKey, endKey);
+    iterator() {
+        return this.skipList.iterator();
     }
 
     /**
@@ -130,6 +268,7 @@ class MemTable {
      * GET ALL ENTRIES for flushing to SSTable
      * 
      * Returns entries in sorted order - perfect for SSTable!
+     * Every version is included, so snapshots survive the flush.
      */
     *entries() {
         yield* this.skipList;
@@ -142,13 +281,15 @@ class MemTable {
      * 
      * @private
      */
-    _estimateSize(key, value) {
-        // Key size (2 bytes per char in JS)
-        let size = key.length * 2;
+    _estimateSize(key, type, value) {
+        // Key size (2 bytes per char in JS, 1 per byte in a Buffer)
+        let size = Buffer.isBuffer(key) ? key.length : key.length * 2;
 
         // Value size (rough JSON estimate)
-        if (value === MemTable.TOMBSTONE) {
+        if (type === VALUE_TYPE.DELETION || value === undefined) {
             size += 8; // Fixed size for tombstone
+        } else if (Buffer.isBuffer(value)) {
+            size += value.length;
         } else if (typeof value === 'string') {
             size += value.length * 2;
         } else {
@@ -168,6 +309,7 @@ class MemTable {
     stats() {
         return {
             entries: this.skipList.size,
+            rangeDeletions: this.rangeDeletions.length,
             sizeBytes: this.currentSizeBytes,
             maxSizeBytes: this.maxSizeBytes,
             usage: ((this.currentSizeBytes / this.maxSizeBytes) * 100).toFixed(1) + '%',
@@ -175,9 +317,6 @@ class MemTable {
     }
 }
 
-// Special marker for deleted keys
-MemTable.TOMBSTONE = Symbol('TOMBSTONE');
-
 module.exports = { MemTable };
 
 /**
@@ -210,21 +349,27 @@ if (require.main === module) {
     console.log('\n⚠️ MemTable full! Should flush:', memtable.shouldFlush());
 
     // Demonstrate the key-value functionality
+    const show = (key) => {
+        const entry = memtable.get(key);
+        if (entry === undefined) {
+            return undefined;
+        }
+        return entry.type === VALUE_TYPE.DELETION ? 'TOMBSTONE (deleted!)' : entry.value;
+    };
     console.log('\n📖 Reading entries:');
-    console.log('   get("user:000") =>', memtable.get('user:000'));
-    console.log('   get("user:010") =>', memtable.get('user:010'));
+    console.log('   get("user:000") =>', show('user:000'));
+    console.log('   get("user:010") =>', show('user:010'));
 
     // Demonstrate delete (tombstone)
     console.log('\n🗑️ Deleting user:005...');
     memtable.delete('user:005');
-    const deleted = memtable.get('user:005');
-    console.log('   get("user:005") =>', deleted === MemTable.TOMBSTONE ? 'TOMBSTONE (deleted!)' : deleted);
+    console.log('   get("user:005") =>', show('user:005'));
 
     // Range query
     console.log('\n🎯 Range query (user:010 to user:015):');
     const rangeResults = memtable.range('user:010', 'user:015');
-    for (const { key, value } of rangeResults) {
-        console.log(`   ${key} => ${value === MemTable.TOMBSTONE ? 'TOMBSTONE' : JSON.stringify(value)}`);
+    for (const { key, type, value } of rangeResults) {
+        console.log(`   ${key} => ${type === VALUE_TYPE.DELETION ? 'TOMBSTONE' : JSON.stringify(value)}`);
     }
 
     console.log('\n' + '='.repeat(50));
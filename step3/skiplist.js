@@ -51,19 +51,45 @@
  *    
  *    This random approach gives O(log n) on average!
  * 
+ * 6. VERSIONS (SEQUENCE NUMBERS)
+ *    A database that supports snapshots must keep OLD values around
+ *    until no reader needs them. So a node can also carry a sequence
+ *    number, and the same key may appear several times - newest first:
+ *    
+ *    ──→ (user:1 @ seq 9) ──→ (user:1 @ seq 4) ──→ (user:2 @ seq 7) ──→
+ *    
+ *    get(key, seq) returns the newest version with sequence <= seq.
+ *    Without sequence numbers the list behaves like a plain sorted map.
+ * 
+ * 7. KEY ORDER
+ *    "Sorted" means sorted by a comparator (comparator.js) - bytewise
+ *    UTF-8 unless another one is passed in. The SSTables flushed from
+ *    this list must be searched with the same one.
+ *    Keys may be strings or Buffers, so "the same key" means compare()
+ *    returns 0, not ===.
+ * 
  * 🔗 HOW THIS RELATES TO LEVELDB:
  *    - LevelDB's MemTable IS a Skip List
  *    - All writes go to this sorted structure first
  *    - When it's full, it's flushed to disk as an SSTable (Step 4)
  */
 
+const { checkComparator } = require('./comparator');
+const { VALUE_TYPE } = require('../step2/value-type');
+
 /**
  * A node in the Skip List
  */
 class SkipListNode {
-    constructor(key, value, level) {
+    constructor(key, value, level, seq, type = VALUE_TYPE.VALUE, expiresAt = undefined) {
         this.key = key;
         this.value = value;
+        // Sequence number of this version (undefined = unversioned)
+        this.seq = seq;
+        // What this entry is: a value, a deletion... (see step2/value-type.js)
+        this.type = type;
+        // When this version expires (undefined = never, see step2/expiry.js)
+        this.expiresAt = expiresAt;
         // Array of forward pointers, one for each level
         // forward[i] points to the next node at level i
         this.forward = new Array(level).fill(null);
@@ -79,10 +105,13 @@ class SkipList {
     /**
      * @param {number} maxLevel - Maximum height of the skip list
      * @param {number} probability - Probability of going up a level (usually 0.5)
+     * @param {object} comparator - Key order (default: bytewise, see comparator.js)
      */
-    constructor(maxLevel = 16, probability = 0.5) {
+    constructor(maxLevel = 16, probability = 0.5, comparator = undefined) {
         this.maxLevel = maxLevel;
         this.probability = probability;
+        this.comparator = checkComparator(comparator);
+        this.compare = this.comparator.compare;
         this.level = 1; // Current highest level in use
 
         // Sentinel head node - doesn't hold actual data
@@ -112,6 +141,22 @@ class SkipList {
         return level;
     }
 
+    /**
+     * ORDERING: does this node come before (key, seq)?
+     * 
+     * Keys ascend; versions of the same key are ordered by DESCENDING
+     * sequence number, so the newest version of a key is found first.
+     * 
+     * @private
+     */
+    _isBefore(node, key, seq) {
+        const order = this.compare(node.key, key);
+        if (order < 0) {
+            return true;
+        }
+        return seq !== undefined && order === 0 && node.seq > seq;
+    }
+
     /**
      * INSERT or UPDATE a key-value pair
      * 
@@ -119,8 +164,13 @@ class SkipList {
      * 
      * @param {string} key - Key to insert
      * @param {any} value - Value to store
+     * @param {number} seq - Sequence number (optional). With a sequence
+     *                       number a NEW version is added next to the
+     *                       older ones instead of overwriting them.
+     * @param {number} type - Value type (default: VALUE, see step2/value-type.js)
+     * @param {number} expiresAt - Expiry time (optional, see step2/expiry.js)
      */
-    set(key, value) {
+    set(key, value, seq, type = VALUE_TYPE.VALUE, expiresAt = undefined) {
         // Track nodes that need updating at each level
         const update = new Array(this.maxLevel).fill(null);
         let current = this.head;
@@ -128,8 +178,8 @@ class SkipList {
         // Start from highest level and work down
         // This is like using express lanes first, then local stops
         for (let i = this.level - 1; i >= 0; i--) {
-            // Move forward while next node's key is less than target
-            while (current.forward[i] !== null && current.forward[i].key < key) {
+            // Move forward while next node comes before the target
+            while (current.forward[i] !== null && this._isBefore(current.forward[i], key, seq)) {
                 current = current.forward[i];
             }
             // Remember this node - we might need to update its forward pointer
@@ -139,9 +189,11 @@ class SkipList {
         // Move to the actual position (level 0)
         current = current.forward[0];
 
-        // Key already exists - update value
-        if (current !== null && current.key === key) {
+        // Key (or this exact version) already exists - update value
+        if (current !== null && this.compare(current.key, key) === 0 && (seq === undefined || current.seq === seq)) {
             current.value = value;
+            current.type = type;
+            current.expiresAt = expiresAt;
             return;
         }
 
@@ -157,7 +209,7 @@ class SkipList {
         }
 
         // Create new node
-        const newNode = new SkipListNode(key, value, newLevel);
+        const newNode = new SkipListNode(key, value, newLevel, seq, type, expiresAt);
 
         // Insert node at all levels up to its height
         for (let i = 0; i < newLevel; i++) {
@@ -174,22 +226,36 @@ class SkipList {
      * Time Complexity: O(log n) average
      * 
      * @param {string} key - Key to look up
+     * @param {number} seq - Only see versions with sequence <= seq (optional)
      * @returns {any} Value or undefined
      */
-    get(key) {
+    get(key, seq) {
+        const node = this.find(key, seq);
+        return node === undefined ? undefined : node.value;
+    }
+
+    /**
+     * FIND the entry of a key - like get(), but with its type and seq
+     * 
+     * @param {string} key - Key to look up
+     * @param {number} seq - Only see versions with sequence <= seq (optional)
+     * @returns {SkipListNode|undefined} { key, value, seq, type, expiresAt } or undefined
+     */
+    find(key, seq) {
         let current = this.head;
 
         // Start from top level and work down
+        // (skipping versions that are newer than seq)
         for (let i = this.level - 1; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < key) {
+            while (current.forward[i] !== null && this._isBefore(current.forward[i], key, seq)) {
                 current = current.forward[i];
             }
         }
 
         // Check if we found the key at level 0
         current = current.forward[0];
-        if (current !== null && current.key === key) {
-            return current.value;
+        if (current !== null && this.compare(current.key, key) === 0) {
+            return current;
         }
         return undefined;
     }
@@ -207,7 +273,7 @@ class SkipList {
         let current = this.head;
 
         for (let i = this.level - 1; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < key) {
+            while (current.forward[i] !== null && this.compare(current.forward[i].key, key) < 0) {
                 current = current.forward[i];
             }
             update[i] = current;
@@ -215,7 +281,7 @@ class SkipList {
 
         current = current.forward[0];
 
-        if (current !== null && current.key === key) {
+        if (current !== null && this.compare(current.key, key) === 0) {
             // Remove node from all levels
             for (let i = 0; i < this.level; i++) {
                 if (update[i].forward[i] !== current) {
@@ -255,15 +321,17 @@ class SkipList {
      * 
      * @param {string} startKey - Start of range (inclusive)
      * @param {string} endKey - End of range (inclusive)
-     * @returns {Array} Array of {key, value} pairs
+     * @param {number} seq - Only see versions with sequence <= seq (optional)
+     * @returns {Array} Array of {key, type, value, seq, expiresAt} pairs -
+     *                  the newest visible version of each key
      */
-    range(startKey, endKey) {
+    range(startKey, endKey, seq) {
         const results = [];
         let current = this.head;
 
         // Find the starting position
         for (let i = this.level - 1; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < startKey) {
+            while (current.forward[i] !== null && this.compare(current.forward[i].key, startKey) < 0) {
                 current = current.forward[i];
             }
         }
@@ -272,8 +340,18 @@ class SkipList {
         current = current.forward[0];
 
         // Iterate through range
-        while (current !== null && current.key <= endKey) {
-            results.push({ key: current.key, value: current.value });
+        let lastKey = null;
+        while (current !== null && this.compare(current.key, endKey) <= 0) {
+            const visible = seq === undefined || current.seq <= seq;
+
+            // First visible node of a key = its newest visible version
+            if (visible && (lastKey === null || this.compare(current.key, lastKey) !== 0)) {
+                results.push({
+                    key: current.key, type: current.type, value: current.value,
+                    seq: current.seq, expiresAt: current.expiresAt,
+                });
+                lastKey = current.key;
+            }
             current = current.forward[0];
         }
 
@@ -284,22 +362,91 @@ class SkipList {
      * ITERATE ALL ENTRIES in sorted order
      * 
      * This is O(n) - visits every node exactly once.
+     * Every version is yielded (newest first within a key).
      * 
-     * @returns {Generator} Yields {key, value} pairs
+     * @returns {Generator} Yields {key, type, value, seq, expiresAt} entries
      */
     *[Symbol.iterator]() {
         let current = this.head.forward[0];
         while (current !== null) {
-            yield { key: current.key, value: current.value };
+            yield {
+                key: current.key, type: current.type, value: current.value,
+                seq: current.seq, expiresAt: current.expiresAt,
+            };
             current = current.forward[0];
         }
     }
 
     /**
-     * GET ALL KEYS in sorted order
+     * CREATE A CURSOR that can move both ways (see SkipListIterator)
+     */
+    iterator() {
+        return new SkipListIterator(this);
+    }
+
+    /**
+     * FIND THE NODE just before a given node (or null if it is the first)
+     * 
+     * Nodes only point forward, so "previous" is a fresh O(log n) search -
+     * the same trick LevelDB uses (FindLessThan).
+     * 
+     * @private
+     */
+    _findLessThan(node) {
+        let current = this.head;
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (current.forward[i] !== null && this._isBefore(current.forward[i], node.key, node.seq)) {
+                current = current.forward[i];
+            }
+        }
+        return current === this.head ? null : current;
+    }
+
+    /**
+     * FIND THE LAST NODE (or null if empty)
+     * 
+     * @private
+     */
+    _findLast() {
+        let current = this.head;
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (current.forward[i] !== null) {
+                current = current.forward[i];
+            }
+        }
+        return current === this.head ? null : current;
+    }
+
+    /**
+     * FIND THE FIRST NODE with key >= key (orEqual) or key > key
+     * 
+     * @private
+     */
+    _findFirstFrom(key, orEqual) {
+        let current = this.head;
+        for (let i = this.level - 1; i >= 0; i--) {
+            while (current.forward[i] !== null) {
+                const order = this.compare(current.forward[i].key, key);
+                if (order > 0 || (order === 0 && orEqual)) {
+                    break;
+                }
+                current = current.forward[i];
+            }
+        }
+        return current.forward[0];
+    }
+
+    /**
+     * GET ALL KEYS in sorted order (each key once)
      */
     keys() {
-        return Array.from(this).map(entry => entry.key);
+        const keys = [];
+        for (const { key } of this) {
+            if (keys.length === 0 || this.compare(keys[keys.length - 1], key) !== 0) {
+                keys.push(key);
+            }
+        }
+        return keys;
     }
 
     /**
@@ -326,7 +473,68 @@ class SkipList {
     }
 }
 
-module.exports = { SkipList, SkipListNode };
+/**
+ * Skip List Cursor
+ * 
+ * Points at one node at a time and can move in both directions.
+ * Used by the LSM Tree's merging iterator (Step 5).
+ * 
+ * Interface shared with SSTableIterator:
+ *   valid(), current, seekToFirst(), seekToLast(), seek(key),
+ *   seekPast(key), next(), prev()
+ */
+class SkipListIterator {
+    constructor(list) {
+        this.list = list;
+        this.node = null;
+    }
+
+    /**
+     * Is the cursor on a node?
+     */
+    valid() {
+        return this.node !== null;
+    }
+
+    /**
+     * The entry under the cursor: { key, type, value, seq, expiresAt }
+     */
+    get current() {
+        return this.node;
+    }
+
+    seekToFirst() {
+        this.node = this.list.head.forward[0];
+    }
+
+    seekToLast() {
+        this.node = this.list._findLast();
+    }
+
+    /**
+     * Move to the first entry with key >= key (its newest version)
+     */
+    seek(key) {
+        this.node = this.list._findFirstFrom(key, true);
+    }
+
+    /**
+     * Move to the first entry with key > key (skips every version of key)
+     */
+    seekPast(key) {
+        this.node = this.list._findFirstFrom(key, false);
+    }
+
+    next() {
+        this.node = this.node.forward[0];
+    }
+
+    prev() {
+        this.node = this.list._findLessThan(this.node);
+    }
+}
+
+module.exports = { SkipList, SkipListNode, SkipListIterator };
 
 /**
  * ============================================================================
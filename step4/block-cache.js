@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * STEP 4: Block Cache - Keeping Hot Blocks in Memory
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how a database avoids reading (and decoding) the same block
+ * from disk over and over again.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    Without a cache, every get() on a hot key does:
+ *      open file → read block → close file → JSON.parse the whole block
+ *    even though it did exactly the same thing a millisecond ago.
+ *
+ * 2. ONE CACHE FOR ALL SSTABLES
+ *    The cache is shared by every SSTableReader, so memory goes to the
+ *    blocks that are hot RIGHT NOW, whichever file they live in.
+ *    Entries are keyed by (file number, block offset) - both never change,
+ *    because SSTables are immutable.
+ *
+ * 3. LRU EVICTION WITH A BYTE BUDGET
+ *    The cache holds at most `capacity` bytes (each block is charged its
+ *    size on disk). When full, the Least Recently Used block goes first:
+ *
+ *      get(A) get(B) get(C) get(A)   → order (old → new): B C A
+ *      insert(D), cache full         → evict B
+ *
+ *    A JS Map remembers insertion order, so "move to the back" is just
+ *    delete + set, and the oldest entry is the first key.
+ *
+ * 4. PINNED BLOCKS
+ *    Index and filter blocks are needed by EVERY lookup in a table.
+ *    Pinning keeps them in the cache (and counted in its usage) until
+ *    their table is closed, no matter how cold they look.
+ *
+ * 5. DELETED FILES
+ *    When compaction deletes an SSTable, its blocks can never be read
+ *    again - evictFile() drops them right away instead of waiting for LRU.
+ *
+ * ⚠️ Cached blocks are shared: values read through the cache must not be
+ *    modified by the caller.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's block cache (Options::block_cache, 8MB by default) is a
+ *    sharded LRU cache keyed by (table cache id, block offset). RocksDB adds
+ *    cache_index_and_filter_blocks and pinning of those blocks.
+ */
+
+class BlockCache {
+    /**
+     * @param {number} capacity - Max bytes of (unpinned + pinned) blocks (default 8MB)
+     */
+    constructor(capacity = 8 * 1024 * 1024) {
+        this.capacity = capacity;
+        this.usage = 0;
+
+        // key → { value, charge, fileId }, least recently used first
+        this._lru = new Map();
+
+        // key → { value, charge, fileId }, never evicted by LRU
+        this._pinned = new Map();
+
+        // file id → Set of keys, so evictFile() doesn't scan everything
+        this._byFile = new Map();
+
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+
+        this._lastId = 0;
+    }
+
+    /**
+     * NEW ID for a cache user (e.g. one database)
+     *
+     * File numbers are only unique within one database. A database that
+     * shares this cache prefixes its file ids with its own id.
+     */
+    newId() {
+        return ++this._lastId;
+    }
+
+    /**
+     * LOOK UP a block
+     *
+     * @param {number|string} fileId - SSTable file number
+     * @param {number} offset - Block offset in the file
+     * @returns {any} The cached block, or undefined on a miss
+     */
+    get(fileId, offset) {
+        const key = this._key(fileId, offset);
+
+        const pinned = this._pinned.get(key);
+        if (pinned !== undefined) {
+            this.hits++;
+            return pinned.value;
+        }
+
+        const entry = this._lru.get(key);
+        if (entry === undefined) {
+            this.misses++;
+            return undefined;
+        }
+
+        // Most recently used → move to the back
+        this._lru.delete(key);
+        this._lru.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    /**
+     * INSERT a block (evicting old ones if over capacity)
+     *
+     * @param {number|string} fileId - SSTable file number
+     * @param {number} offset - Block offset in the file
+     * @param {any} value - The parsed block
+     * @param {number} charge - Bytes to count against capacity
+     * @param {object} options - { pinned: true } to keep it until evictFile()
+     */
+    insert(fileId, offset, value, charge, options = {}) {
+        const key = this._key(fileId, offset);
+        this._remove(key);
+
+        const entry = { value, charge, fileId };
+        if (options.pinned) {
+            this._pinned.set(key, entry);
+        } else {
+            this._lru.set(key, entry);
+        }
+        this.usage += charge;
+
+        if (!this._byFile.has(fileId)) {
+            this._byFile.set(fileId, new Set());
+        }
+        this._byFile.get(fileId).add(key);
+
+        this._evictToCapacity();
+    }
+
+    /**
+     * EVICT every block of a file (pinned ones too)
+     *
+     * @param {number|string} fileId
+     * @returns {number} Number of blocks dropped
+     */
+    evictFile(fileId) {
+        const keys = this._byFile.get(fileId);
+        if (keys === undefined) {
+            return 0;
+        }
+
+        for (const key of keys) {
+            const entry = this._lru.get(key) || this._pinned.get(key);
+            this.usage -= entry.charge;
+            this._lru.delete(key);
+            this._pinned.delete(key);
+        }
+        this._byFile.delete(fileId);
+        return keys.size;
+    }
+
+    /**
+     * GET STATS
+     */
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            capacity: this.capacity,
+            usage: this.usage,
+            blocks: this._lru.size + this._pinned.size,
+            pinnedBlocks: this._pinned.size,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: lookups > 0 ? this.hits / lookups : 0,
+        };
+    }
+
+    /**
+     * DROP least recently used blocks until usage fits
+     * (pinned blocks may keep usage above capacity)
+     *
+     * @private
+     */
+    _evictToCapacity() {
+        for (const [key, entry] of this._lru) {
+            if (this.usage <= this.capacity) {
+                break;
+            }
+            this._lru.delete(key);
+            this._byFile.get(entry.fileId).delete(key);
+            this.usage -= entry.charge;
+            this.evictions++;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _remove(key) {
+        const entry = this._lru.get(key) || this._pinned.get(key);
+        if (entry !== undefined) {
+            this.usage -= entry.charge;
+            this._lru.delete(key);
+            this._pinned.delete(key);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _key(fileId, offset) {
+        return `${fileId}:${offset}`;
+    }
+}
+
+module.exports = { BlockCache };
@@ -0,0 +1,817 @@
+/**
+ * ============================================================================
+ * STEP 4: Block Format - Binary Entries, Prefix Compression, Restart Points
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how SSTable blocks are laid out in bytes so they are small
+ * on disk AND can be searched without decoding everything.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. WHY NOT JSON?
+ *    Our first format (SSTABLE_V1) stored each block as a JSON array:
+ *    - Every key is written out in full, even when keys share long prefixes
+ *    - JSON.parse must decode the WHOLE block to read one entry
+ *
+ * 2. PREFIX COMPRESSION
+ *    Sorted keys share prefixes with their neighbours, so each entry only
+ *    stores what is DIFFERENT from the previous key:
+ *
+ *      key                          shared  unshared  stored bytes
+ *      tenant:123:user:alice           0       21     "tenant:123:user:alice"
+ *      tenant:123:user:bob            16        3     "bob"
+ *      tenant:123:user:bobby          19        2     "by"
+ *
+ *    Entry layout:
+ *    ┌────────┬──────────┬───────────┬─────┬──────┬───────────┬───────┐
+ *    │ shared │ unshared │ value len │ seq │ type │ key delta │ value │
+ *    │ varint │  varint  │  varint   │ var │  1B  │           │       │
+ *    └────────┴──────────┴───────────┴─────┴──────┴───────────┴───────┘
+ *    type: the entry's value type (step2/value-type.js) and how its
+ *          payload is stored:
+ *          0 = deletion (no payload)
+ *          1 = value (JSON; 0 bytes = undefined)   2 = value (raw bytes)
+ *          3 = merge operand (JSON)                4 = merge operand (raw bytes)
+ *          5 = range deletion (payload: the end key)
+ *          + 0x80 if the entry expires: the payload then starts with a
+ *          varint expiry time (ms since the epoch, see step2/expiry.js)
+ *
+ *    Keys are bytes too: a string key is stored as UTF-8, a Buffer key
+ *    as is (see "KEYS ARE BYTES" in step3/comparator.js).
+ *
+ * 3. RESTART POINTS
+ *    To rebuild a key we need the previous one... so to read entry 1000
+ *    we'd have to decode entries 0-999. Instead, every 16th entry is a
+ *    RESTART POINT that stores its key in full (shared = 0).
+ *    The block ends with the offsets of all restart points:
+ *
+ *    [entry][entry]...[entry][restart 0][restart 1]...[restart N-1][N]
+ *
+ *    Seeking = binary search over the restart points (full keys!), then
+ *    decode at most 16 entries forward.
+ *
+ * 4. VARINTS
+ *    Small numbers are common (lengths, shared prefixes), so integers are
+ *    stored 7 bits per byte; the high bit says "more bytes follow".
+ *    300 → [0xAC, 0x02] (2 bytes instead of 4)
+ *
+ * 5. BLOCK TRAILER: CODEC + CHECKSUM
+ *    Every V2 block (data, filter, index, properties) is stored as
+ *    possibly-compressed bytes followed by a 5-byte trailer:
+ *
+ *    [stored block][codec (1 byte)][crc32 (4 bytes)]
+ *
+ *    The codec byte says how the block was compressed (compression.js),
+ *    and the CRC32 (step2/crc32.js) covers the stored bytes AND the codec.
+ *    Block sizes in the index and footer are the stored sizes, without
+ *    the trailer. A mismatch on read → CorruptionError (see errors.js).
+ *
+ * 6. FIXED-SIZE FOOTER
+ *    A V2 file ends with a 44-byte footer, so a reader finds it with a
+ *    single read of the last 44 bytes:
+ *
+ *    [index offset/size][filter offset/size][properties offset/size][magic]
+ *
+ *    The magic ("KVSST02\n") also tells V2 files apart from V1 files,
+ *    whose last 4 bytes are the length of a JSON footer.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    This is LevelDB's block format (table/block_builder.cc) with the same
+ *    shared/unshared/value-length header and restart interval of 16, and
+ *    a fixed footer with a magic number (table/format.h). LevelDB's block
+ *    trailer is the same: a compression type byte, then a CRC32C.
+ */
+
+const { crc32 } = require('../step2/crc32');
+const { BytewiseComparator, keyToBuffer, keyFromBuffer } = require('../step3/comparator');
+const { VALUE_TYPE } = require('../step2/value-type');
+
+// Last 8 bytes of every V2 SSTable
+const SSTABLE_MAGIC = Buffer.from('KVSST02\n');
+
+// 3 × (offset 8B + size 4B) + magic 8B
+const FOOTER_SIZE = 44;
+
+// Codec byte + CRC32 after every V2 block
+const BLOCK_TRAILER_SIZE = 5;
+
+// Type byte of a V2 entry (see "type" above)
+const ENTRY_TYPE = {
+    DELETION: 0,
+    VALUE: 1,
+    VALUE_BYTES: 2,
+    MERGE: 3,
+    MERGE_BYTES: 4,
+    RANGE_DELETION: 5,
+};
+
+// Set in the type byte of an entry whose payload starts with its expiry
+const EXPIRES_FLAG = 0x80;
+
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * APPEND A VARINT to an array of bytes
+ *
+ * Uses arithmetic instead of bit operations, so sequence numbers
+ * above 2^31 survive.
+ */
+function putVarint(bytes, value) {
+    while (value >= 128) {
+        bytes.push((value % 128) | 128);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+}
+
+/**
+ * READ A VARINT
+ *
+ * @returns {number[]} [value, offset just past the varint]
+ */
+function getVarint(buffer, offset) {
+    let value = 0;
+    let factor = 1;
+    for (;;) {
+        if (offset >= buffer.length) {
+            throw new Error('Truncated varint in SSTable block');
+        }
+        const byte = buffer[offset++];
+        value += (byte & 127) * factor;
+        if (byte < 128) {
+            return [value, offset];
+        }
+        factor *= 128;
+    }
+}
+
+/**
+ * Is (entryKey, entrySeq) ordered before (key, seq)?
+ * Order: key ascending (by the comparator), then seq descending
+ * (newest version first).
+ *
+ * @private
+ */
+function isBefore(comparator, entryKey, entrySeq, key, seq) {
+    const order = comparator.compare(entryKey, key);
+    return order < 0 || (order === 0 && entrySeq > seq);
+}
+
+/**
+ * ENCODE AN ENTRY'S VALUE → { code, bytes }
+ *
+ * @param {number} type - VALUE_TYPE of the entry
+ * @private
+ */
+function encodeValue(type, value) {
+    switch (type) {
+        case VALUE_TYPE.DELETION:
+            return { code: ENTRY_TYPE.DELETION, bytes: EMPTY };
+        case VALUE_TYPE.RANGE_DELETION:
+            return { code: ENTRY_TYPE.RANGE_DELETION, bytes: keyToBuffer(value) };
+        case VALUE_TYPE.VALUE:
+        case VALUE_TYPE.MERGE: {
+            const merge = type === VALUE_TYPE.MERGE;
+            if (Buffer.isBuffer(value)) {
+                return { code: merge ? ENTRY_TYPE.MERGE_BYTES : ENTRY_TYPE.VALUE_BYTES, bytes: value };
+            }
+            const json = JSON.stringify(value);
+            return {
+                code: merge ? ENTRY_TYPE.MERGE : ENTRY_TYPE.VALUE,
+                bytes: json === undefined ? EMPTY : Buffer.from(json),
+            };
+        }
+        default:
+            throw new Error(`Unknown value type ${type}`);
+    }
+}
+
+/**
+ * DECODE AN ENTRY'S VALUE written by encodeValue() → { type, value }
+ *
+ * @private
+ */
+function decodeValue(code, bytes) {
+    switch (code) {
+        case ENTRY_TYPE.DELETION:
+            return { type: VALUE_TYPE.DELETION, value: undefined };
+        case ENTRY_TYPE.RANGE_DELETION:
+            return { type: VALUE_TYPE.RANGE_DELETION, value: keyFromBuffer(bytes) };
+        case ENTRY_TYPE.VALUE:
+        case ENTRY_TYPE.MERGE:
+            return {
+                type: code === ENTRY_TYPE.MERGE ? VALUE_TYPE.MERGE : VALUE_TYPE.VALUE,
+                value: bytes.length === 0 ? undefined : JSON.parse(bytes.toString()),
+            };
+        case ENTRY_TYPE.VALUE_BYTES:
+        case ENTRY_TYPE.MERGE_BYTES:
+            return {
+                type: code === ENTRY_TYPE.MERGE_BYTES ? VALUE_TYPE.MERGE : VALUE_TYPE.VALUE,
+                // Copy: the block stays in the cache, the caller may keep the value
+                value: Buffer.from(bytes),
+            };
+        default:
+            throw new Error(`Unknown value type ${code} in SSTable block`);
+    }
+}
+
+// ============================================================================
+// V2: binary blocks
+// ============================================================================
+
+/**
+ * Block Builder - encodes sorted entries into one V2 block
+ */
+class BlockBuilder {
+    /**
+     * @param {number} restartInterval - Entries between restart points (default 16)
+     */
+    constructor(restartInterval = 16) {
+        this.restartInterval = restartInterval;
+        this.chunks = [];
+        this.size = 0;
+        this.restarts = [0];
+        this.counter = 0;
+        this.entryCount = 0;
+        this.lastKey = EMPTY;
+    }
+
+    /**
+     * ADD an entry (must come after every entry added so far)
+     *
+     * @param {object} entry - { key, type?, value, seq?, expiresAt? }
+     *                        (type defaults to VALUE)
+     */
+    add({ key, type = VALUE_TYPE.VALUE, value, seq, expiresAt }) {
+        const keyBytes = keyToBuffer(key);
+
+        let shared = 0;
+        if (this.counter < this.restartInterval) {
+            const max = Math.min(this.lastKey.length, keyBytes.length);
+            while (shared < max && this.lastKey[shared] === keyBytes[shared]) {
+                shared++;
+            }
+        } else {
+            // Restart point: store the full key
+            this.restarts.push(this.size);
+            this.counter = 0;
+        }
+
+        let { code, bytes } = encodeValue(type, value);
+        if (expiresAt !== undefined) {
+            const expiry = [];
+            putVarint(expiry, expiresAt);
+            code |= EXPIRES_FLAG;
+            bytes = Buffer.concat([Buffer.from(expiry), bytes]);
+        }
+        const header = [];
+        putVarint(header, shared);
+        putVarint(header, keyBytes.length - shared);
+        putVarint(header, bytes.length);
+        putVarint(header, seq || 0);
+        header.push(code);
+
+        const headerBytes = Buffer.from(header);
+        const delta = keyBytes.subarray(shared);
+        this.chunks.push(headerBytes, delta, bytes);
+        this.size += headerBytes.length + delta.length + bytes.length;
+
+        this.lastKey = keyBytes;
+        this.counter++;
+        this.entryCount++;
+    }
+
+    /**
+     * Size of the block if it were finished now
+     */
+    get estimatedSize() {
+        return this.size + (this.restarts.length + 1) * 4;
+    }
+
+    /**
+     * FINISH: append the restart array
+     *
+     * @returns {Buffer}
+     */
+    finish() {
+        const trailer = Buffer.alloc((this.restarts.length + 1) * 4);
+        this.restarts.forEach((offset, i) => trailer.writeUInt32LE(offset, i * 4));
+        trailer.writeUInt32LE(this.restarts.length, this.restarts.length * 4);
+        return Buffer.concat([...this.chunks, trailer]);
+    }
+}
+
+/**
+ * Block - a V2 block as read from disk
+ *
+ * Kept as raw bytes (in the block cache too); entries are only decoded
+ * while an iterator walks over them.
+ */
+class Block {
+    /**
+     * @param {Buffer} data - Block bytes written by BlockBuilder.finish()
+     */
+    constructor(data) {
+        if (data.length < 4) {
+            throw new Error('SSTable block is too short');
+        }
+        this.data = data;
+        this.numRestarts = data.readUInt32LE(data.length - 4);
+        this.restartsOffset = data.length - 4 - this.numRestarts * 4;
+        if (this.numRestarts === 0 || this.restartsOffset < 0) {
+            throw new Error('SSTable block has a bad restart array');
+        }
+    }
+
+    /**
+     * Offset of restart point i
+     */
+    restartPoint(i) {
+        return this.data.readUInt32LE(this.restartsOffset + i * 4);
+    }
+
+    /**
+     * @param {object} comparator - Key order the block was written in
+     *                              (default: bytewise)
+     */
+    iterator(comparator = BytewiseComparator) {
+        return new BlockIterator(this, comparator);
+    }
+}
+
+/**
+ * Cursor over one V2 block
+ *
+ * Interface (same for JsonBlockIterator):
+ *   valid(), current ({ key, type, value, seq, expiresAt }), seekToFirst(), seekToLast(),
+ *   seek(key, seq), next(), prev()
+ */
+class BlockIterator {
+    constructor(block, comparator) {
+        this.block = block;
+        this.comparator = comparator;
+        this._invalidate();
+    }
+
+    valid() {
+        return this.offset !== -1;
+    }
+
+    /**
+     * The entry under the cursor (the value is decoded on first access)
+     */
+    get current() {
+        if (this._current === null) {
+            const data = this.block.data;
+            let code = this.code;
+            let start = this.valueStart;
+            let expiresAt;
+            if (code & EXPIRES_FLAG) {
+                [expiresAt, start] = getVarint(data, start);
+                code &= ~EXPIRES_FLAG;
+            }
+            const { type, value } = decodeValue(code, data.subarray(start, this.valueEnd));
+            this._current = { key: this.key, type, value, seq: this.seq, expiresAt };
+        }
+        return this._current;
+    }
+
+    seekToFirst() {
+        this._seekToRestart(0);
+        this._decodeNext();
+    }
+
+    seekToLast() {
+        this._seekToRestart(this.block.numRestarts - 1);
+        this._decodeNext();
+        while (this.nextOffset < this.block.restartsOffset) {
+            this._decodeNext();
+        }
+    }
+
+    /**
+     * Move to the first entry at or after (key, seq):
+     * the newest version of key visible at seq, or else the next key.
+     * seek(key) finds the first entry with key >= key;
+     * seek(key, -1) finds the first entry with key > key.
+     *
+     * @param {string} key
+     * @param {number} seq - Default: Infinity
+     */
+    seek(key, seq = Infinity) {
+        // Binary search: last restart point whose (full) key is before the target
+        let left = 0;
+        let right = this.block.numRestarts - 1;
+        while (left < right) {
+            const mid = Math.ceil((left + right) / 2);
+            const restart = this._entryAtRestart(mid);
+            if (isBefore(this.comparator, restart.key, restart.seq, key, seq)) {
+                left = mid;
+            } else {
+                right = mid - 1;
+            }
+        }
+
+        // Linear scan: at most restartInterval entries
+        this._seekToRestart(left);
+        for (;;) {
+            this._decodeNext();
+            if (!this.valid() || !isBefore(this.comparator, this.key, this.seq, key, seq)) {
+                return;
+            }
+        }
+    }
+
+    next() {
+        this._decodeNext();
+    }
+
+    /**
+     * Entries only know their PREVIOUS key, so going back means
+     * re-scanning from the restart point before the current entry.
+     */
+    prev() {
+        const original = this.offset;
+        if (original === 0) {
+            this._invalidate();
+            return;
+        }
+
+        // Last restart point strictly before the current entry
+        let left = 0;
+        let right = this.block.numRestarts - 1;
+        while (left < right) {
+            const mid = Math.ceil((left + right) / 2);
+            if (this.block.restartPoint(mid) < original) {
+                left = mid;
+            } else {
+                right = mid - 1;
+            }
+        }
+
+        this._seekToRestart(left);
+        do {
+            this._decodeNext();
+        } while (this.nextOffset < original);
+    }
+
+    /**
+     * DECODE the full key + seq stored at a restart point
+     *
+     * @private
+     */
+    _entryAtRestart(i) {
+        const data = this.block.data;
+        let offset = this.block.restartPoint(i);
+        let unshared, seq;
+        [, offset] = getVarint(data, offset);          // shared (always 0)
+        [unshared, offset] = getVarint(data, offset);
+        [, offset] = getVarint(data, offset);          // value length
+        [seq, offset] = getVarint(data, offset);
+        offset++;                                      // type
+        return { key: keyFromBuffer(data.subarray(offset, offset + unshared)), seq };
+    }
+
+    /**
+     * @private
+     */
+    _seekToRestart(i) {
+        this.offset = -1;
+        this.keyBytes = EMPTY;
+        this.nextOffset = this.block.restartPoint(i);
+    }
+
+    /**
+     * DECODE the entry at nextOffset (using the previous key for the prefix)
+     *
+     * @private
+     */
+    _decodeNext() {
+        const data = this.block.data;
+        let offset = this.nextOffset;
+        if (offset >= this.block.restartsOffset) {
+            this._invalidate();
+            return;
+        }
+
+        let shared, unshared, valueLength, seq;
+        [shared, offset] = getVarint(data, offset);
+        [unshared, offset] = getVarint(data, offset);
+        [valueLength, offset] = getVarint(data, offset);
+        [seq, offset] = getVarint(data, offset);
+        const code = data[offset++];
+
+        if (shared > this.keyBytes.length || offset + unshared + valueLength > this.block.restartsOffset) {
+            throw new Error(`Corrupted entry at offset ${this.nextOffset} in SSTable block`);
+        }
+
+        const keyBytes = Buffer.allocUnsafe(shared + unshared);
+        this.keyBytes.copy(keyBytes, 0, 0, shared);
+        data.copy(keyBytes, shared, offset, offset + unshared);
+        offset += unshared;
+
+        this.offset = this.nextOffset;
+        this.keyBytes = keyBytes;
+        this.key = keyFromBuffer(keyBytes);
+        this.seq = seq;
+        this.code = code;
+        this.valueStart = offset;
+        this.valueEnd = offset + valueLength;
+        this.nextOffset = this.valueEnd;
+        this._current = null;
+    }
+
+    /**
+     * @private
+     */
+    _invalidate() {
+        this.offset = -1;
+        this.nextOffset = 0;
+        this.keyBytes = EMPTY;
+        this.key = null;
+        this.seq = 0;
+        this.code = 0;
+        this.valueStart = 0;
+        this.valueEnd = 0;
+        this._current = null;
+    }
+}
+
+// ============================================================================
+// V1: JSON blocks (still written on request, always readable)
+// ============================================================================
+
+/**
+ * Json Block Builder - a V1 block is a JSON array of entries
+ *
+ * Every entry has its value type. Files written before value types
+ * existed marked deletions with the value '__TOMBSTONE__' - in those
+ * (and only those) a stored '__TOMBSTONE__' still reads as a delete.
+ */
+class JsonBlockBuilder {
+    constructor() {
+        this.entries = [];
+        this.size = 0;
+    }
+
+    add({ key, type = VALUE_TYPE.VALUE, value, seq, expiresAt }) {
+        if (Buffer.isBuffer(key) || Buffer.isBuffer(value)) {
+            throw new Error('SSTable format V1 (JSON) can\'t store Buffer keys or values, use V2');
+        }
+
+        const entry = { key, type, value, seq };
+        if (expiresAt !== undefined) {
+            entry.expiresAt = expiresAt;
+        }
+        this.entries.push(entry);
+        this.size += JSON.stringify(entry).length;
+    }
+
+    get entryCount() {
+        return this.entries.length;
+    }
+
+    get estimatedSize() {
+        return this.size;
+    }
+
+    finish() {
+        return Buffer.from(JSON.stringify(this.entries));
+    }
+}
+
+/**
+ * Json Block - a parsed V1 block
+ */
+class JsonBlock {
+    /**
+     * @param {Array} entries - The block's JSON array
+     */
+    constructor(entries) {
+        this.entries = entries;
+    }
+
+    /**
+     * @param {object} comparator - Key order the block was written in
+     *                              (default: bytewise)
+     */
+    iterator(comparator = BytewiseComparator) {
+        return new JsonBlockIterator(this.entries, comparator);
+    }
+}
+
+/**
+ * Cursor over one V1 block (same interface as BlockIterator)
+ */
+class JsonBlockIterator {
+    constructor(entries, comparator) {
+        this.entries = entries;
+        this.comparator = comparator;
+        this.pos = -1;
+    }
+
+    valid() {
+        return this.pos >= 0 && this.pos < this.entries.length;
+    }
+
+    get current() {
+        const entry = this.entries[this.pos];
+        let type = entry.type;
+        if (type === undefined) {
+            // Pre-type files: a delete is '__TOMBSTONE__', or no value at
+            // all (JSON.stringify drops a Symbol tombstone)
+            const deleted = entry.value === '__TOMBSTONE__' || !('value' in entry);
+            type = deleted ? VALUE_TYPE.DELETION : VALUE_TYPE.VALUE;
+        }
+        return {
+            key: entry.key,
+            type,
+            value: type === VALUE_TYPE.DELETION ? undefined : entry.value,
+            seq: entry.seq || 0,
+            expiresAt: entry.expiresAt,
+        };
+    }
+
+    seekToFirst() {
+        this.pos = 0;
+    }
+
+    seekToLast() {
+        this.pos = this.entries.length - 1;
+    }
+
+    /**
+     * Binary search for the first entry at or after (key, seq)
+     * (entries written before sequence numbers existed count as seq 0)
+     */
+    seek(key, seq = Infinity) {
+        let left = 0;
+        let right = this.entries.length;
+        while (left < right) {
+            const mid = Math.floor((left + right) / 2);
+            const entry = this.entries[mid];
+            if (isBefore(this.comparator, entry.key, entry.seq || 0, key, seq)) {
+                left = mid + 1;
+            } else {
+                right = mid;
+            }
+        }
+        this.pos = left;
+    }
+
+    next() {
+        this.pos++;
+    }
+
+    prev() {
+        this.pos--;
+    }
+}
+
+// ============================================================================
+// V2: block trailers, index block and footer
+// ============================================================================
+
+/**
+ * BLOCK TRAILER: codec byte + CRC32 of the stored bytes and the codec
+ *
+ * @param {Buffer} data - Block as stored (compressed or not)
+ * @param {number} type - Codec byte (see compression.js)
+ * @returns {Buffer} BLOCK_TRAILER_SIZE bytes to write right after the block
+ */
+function blockTrailer(data, type) {
+    const trailer = Buffer.alloc(BLOCK_TRAILER_SIZE);
+    trailer[0] = type;
+    trailer.writeUInt32LE(crc32(Buffer.concat([data, trailer.subarray(0, 1)])), 1);
+    return trailer;
+}
+
+/**
+ * CHECK a block read together with its trailer
+ *
+ * @param {Buffer} buffer - Stored block followed by the trailer
+ * @returns {object|null} { data, type }, or null if the checksum doesn't match
+ */
+function checkBlock(buffer) {
+    const checked = buffer.subarray(0, buffer.length - 4);
+    const expected = buffer.readUInt32LE(buffer.length - 4);
+    if (crc32(checked) !== expected) {
+        return null;
+    }
+    return {
+        data: buffer.subarray(0, buffer.length - BLOCK_TRAILER_SIZE),
+        type: buffer[buffer.length - BLOCK_TRAILER_SIZE],
+    };
+}
+
+/**
+ * ENCODE THE INDEX: per data block [startKey][endKey][offset][size]
+ * (keys are varint-length-prefixed bytes)
+ *
+ * @param {Array} index - [{ startKey, endKey, offset, size }]
+ * @returns {Buffer}
+ */
+function encodeIndex(index) {
+    const chunks = [];
+    for (const { startKey, endKey, offset, size } of index) {
+        const startBytes = keyToBuffer(startKey);
+        const endBytes = keyToBuffer(endKey);
+
+        const startLength = [];
+        putVarint(startLength, startBytes.length);
+        const endLength = [];
+        putVarint(endLength, endBytes.length);
+        const position = [];
+        putVarint(position, offset);
+        putVarint(position, size);
+
+        chunks.push(Buffer.from(startLength), startBytes, Buffer.from(endLength), endBytes, Buffer.from(position));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * DECODE an index written by encodeIndex()
+ *
+ * @returns {Array} [{ startKey, endKey, offset, size }]
+ */
+function decodeIndex(buffer) {
+    const index = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        let length, blockOffset, size;
+
+        [length, offset] = getVarint(buffer, offset);
+        const startKey = keyFromBuffer(buffer.subarray(offset, offset + length));
+        offset += length;
+
+        [length, offset] = getVarint(buffer, offset);
+        const endKey = keyFromBuffer(buffer.subarray(offset, offset + length));
+        offset += length;
+
+        [blockOffset, offset] = getVarint(buffer, offset);
+        [size, offset] = getVarint(buffer, offset);
+
+        index.push({ startKey, endKey, offset: blockOffset, size });
+    }
+    return index;
+}
+
+/**
+ * ENCODE THE FIXED-SIZE FOOTER
+ *
+ * @param {object} footer - { indexOffset, indexSize, filterOffset, filterSize,
+ *                            propertiesOffset, propertiesSize }
+ * @returns {Buffer} FOOTER_SIZE bytes
+ */
+function encodeFooter(footer) {
+    const buffer = Buffer.alloc(FOOTER_SIZE);
+    let offset = 0;
+    for (const name of ['index', 'filter', 'properties']) {
+        buffer.writeBigUInt64LE(BigInt(footer[`${name}Offset`]), offset);
+        buffer.writeUInt32LE(footer[`${name}Size`], offset + 8);
+        offset += 12;
+    }
+    SSTABLE_MAGIC.copy(buffer, offset);
+    return buffer;
+}
+
+/**
+ * DECODE THE FIXED-SIZE FOOTER
+ *
+ * @param {Buffer} buffer - The last FOOTER_SIZE bytes of the file
+ * @returns {object|null} Footer fields, or null if the magic doesn't match
+ *                        (i.e. this is not a V2 file)
+ */
+function decodeFooter(buffer) {
+    if (buffer.length !== FOOTER_SIZE || !buffer.subarray(FOOTER_SIZE - SSTABLE_MAGIC.length).equals(SSTABLE_MAGIC)) {
+        return null;
+    }
+
+    const footer = {};
+    let offset = 0;
+    for (const name of ['index', 'filter', 'properties']) {
+        footer[`${name}Offset`] = Number(buffer.readBigUInt64LE(offset));
+        footer[`${name}Size`] = buffer.readUInt32LE(offset + 8);
+        offset += 12;
+    }
+    return footer;
+}
+
+module.exports = {
+    SSTABLE_MAGIC,
+    FOOTER_SIZE,
+    BLOCK_TRAILER_SIZE,
+    ENTRY_TYPE,
+    BlockBuilder,
+    Block,
+    JsonBlockBuilder,
+    JsonBlock,
+    blockTrailer,
+    checkBlock,
+    encodeIndex,
+    decodeIndex,
+    encodeFooter,
+    decodeFooter,
+};
@@ -0,0 +1,166 @@
+/**
+ * ============================================================================
+ * STEP 4: Bloom Filter - "Definitely Not Here"
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how an SSTable can answer "is this key missing?" without
+ * reading a single data block.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    Looking up a key that doesn't exist is the WORST case for an LSM tree:
+ *    every SSTable whose [minKey, maxKey] covers the key must read a data
+ *    block from disk, just to find out the key isn't there.
+ *
+ * 2. A BIT ARRAY + k HASH FUNCTIONS
+ *    Adding a key sets k bits:
+ *
+ *      add("apple")  → hashes 3, 9, 12
+ *      bits: 0 0 0 1 0 0 0 0 0 1 0 0 1 0 0 0
+ *
+ *    Checking a key looks at the same k bits:
+ *    - Any bit is 0  → the key was NEVER added (100% sure!)
+ *    - All bits are 1 → the key was PROBABLY added (could be a false positive)
+ *
+ * 3. BITS PER KEY
+ *    More bits per key = fewer false positives, bigger filter:
+ *
+ *    ┌──────────────┬─────────────────────┬──────────────────┐
+ *    │ bits per key │ best k (≈ bits·ln2) │ false positives  │
+ *    ├──────────────┼─────────────────────┼──────────────────┤
+ *    │      5       │          3          │      ~9%         │
+ *    │     10       │          7          │      ~1%         │
+ *    │     20       │         14          │      ~0.01%      │
+ *    └──────────────┴─────────────────────┴──────────────────┘
+ *
+ * 4. DOUBLE HASHING
+ *    Computing k different hashes is slow. Instead we compute ONE hash h
+ *    and derive the others as h, h + delta, h + 2·delta, ...
+ *    (Kirsch & Mitzenmacher: just as good in practice).
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    Same design as LevelDB's BloomFilterPolicy (util/bloom.cc): one
+ *    filter per table, the probe count stored in the last byte, and
+ *    10 bits per key as the usual setting.
+ */
+
+const { keyToBuffer } = require('../step3/comparator');
+
+/**
+ * 32-bit hash of a key (FNV-1a over its bytes, plus the
+ * MurmurHash3 finalizer to spread similar keys apart)
+ *
+ * @private
+ */
+function bloomHash(key) {
+    const bytes = keyToBuffer(key);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < bytes.length; i++) {
+        h ^= bytes[i];
+        h = Math.imul(h, 0x01000193);
+    }
+
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+class BloomFilter {
+    /**
+     * @param {Buffer} bits - The bit array
+     * @param {number} probes - Number of bits set per key (k)
+     */
+    constructor(bits, probes) {
+        this.bits = bits;
+        this.probes = probes;
+    }
+
+    /**
+     * BUILD a filter holding the given keys
+     *
+     * @param {string[]} keys
+     * @param {number} bitsPerKey - Filter size per key (10 → ~1% false positives)
+     * @returns {BloomFilter}
+     */
+    static build(keys, bitsPerKey) {
+        // k = bitsPerKey * ln(2) minimizes false positives
+        const probes = Math.min(30, Math.max(1, Math.round(bitsPerKey * 0.69)));
+
+        // Tiny filters have a very high false positive rate - use at least 64 bits
+        const bitCount = Math.max(64, Math.ceil(keys.length * bitsPerKey));
+        const filter = new BloomFilter(Buffer.alloc(Math.ceil(bitCount / 8)), probes);
+
+        for (const key of keys) {
+            filter._forEachBit(key, bit => {
+                filter.bits[bit >> 3] |= 1 << (bit & 7);
+            });
+        }
+
+        return filter;
+    }
+
+    /**
+     * MAY THE FILTER CONTAIN key?
+     *
+     * @param {string} key
+     * @returns {boolean} false = definitely absent, true = maybe present
+     */
+    mayContain(key) {
+        let result = true;
+        this._forEachBit(key, bit => {
+            if ((this.bits[bit >> 3] & (1 << (bit & 7))) === 0) {
+                result = false;
+                return false;
+            }
+            return true;
+        });
+        return result;
+    }
+
+    /**
+     * SERIALIZE: [bit array][probes (1 byte)]
+     *
+     * @returns {Buffer}
+     */
+    serialize() {
+        return Buffer.concat([this.bits, Buffer.from([this.probes])]);
+    }
+
+    /**
+     * DESERIALIZE a filter written by serialize()
+     *
+     * @param {Buffer} data
+     * @returns {BloomFilter}
+     */
+    static deserialize(data) {
+        if (data.length < 2) {
+            throw new Error('Bloom filter block is too short');
+        }
+        return new BloomFilter(data.subarray(0, data.length - 1), data[data.length - 1]);
+    }
+
+    /**
+     * VISIT the k bit positions of a key (stops early if visit returns false)
+     *
+     * @private
+     */
+    _forEachBit(key, visit) {
+        const bitCount = this.bits.length * 8;
+        let h = bloomHash(key);
+        const delta = ((h >>> 17) | (h << 15)) >>> 0; // rotate right 17 bits
+
+        for (let i = 0; i < this.probes; i++) {
+            if (visit(h % bitCount) === false) {
+                return;
+            }
+            h = (h + delta) >>> 0;
+        }
+    }
+}
+
+module.exports = { BloomFilter };
@@ -0,0 +1,118 @@
+/**
+ * ============================================================================
+ * STEP 4: Block Compression - Trading CPU for Disk
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand why SSTables compress each block separately, and when
+ * compression is not worth it.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. WHY COMPRESS?
+ *    Values are often repetitive JSON documents:
+ *      {"name":"User 1","score":10} {"name":"User 2","score":20} ...
+ *    Field names repeat in every entry, so a block shrinks a lot.
+ *    Smaller files = less disk, and fewer bytes read per lookup.
+ *
+ * 2. ONE BLOCK AT A TIME
+ *    Compressing the whole file would force us to decompress ALL of it
+ *    to read one key. Compressing per block keeps point lookups cheap:
+ *    read one block → decompress one block → search it.
+ *
+ * 3. THE CODEC IS RECORDED PER BLOCK
+ *    Every block's trailer has a codec byte (see block-format.js):
+ *
+ *    ┌─────────┬───────────────────────────────┐
+ *    │  codec  │ Node.js zlib                  │
+ *    ├─────────┼───────────────────────────────┤
+ *    │ none    │ -                             │
+ *    │ deflate │ deflateSync / inflateSync     │
+ *    │ gzip    │ gzipSync / gunzipSync         │
+ *    │ brotli  │ brotliCompressSync (slowest,  │
+ *    │         │ usually smallest)             │
+ *    └─────────┴───────────────────────────────┘
+ *
+ *    So a table may mix codecs, and a database can change its setting
+ *    at any time - old blocks still say how to read them.
+ *
+ * 4. FALL BACK WHEN IT DOESN'T PAY
+ *    Some blocks barely shrink (e.g. a Bloom filter looks like random
+ *    bits). If compression saves less than `minSavings` (12.5% by
+ *    default) the block is stored uncompressed, and reading it later
+ *    costs no CPU at all.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB does exactly this with Snappy: a compression type byte in
+ *    every block trailer, and raw storage when the compressed block is not
+ *    at least 12.5% smaller. RocksDB adds compression_per_level.
+ */
+
+const zlib = require('zlib');
+
+// Codec byte stored in each block trailer
+const COMPRESSION = {
+    none: 0,
+    deflate: 1,
+    gzip: 2,
+    brotli: 3,
+};
+
+const CODECS = {
+    [COMPRESSION.deflate]: { compress: zlib.deflateSync, decompress: zlib.inflateSync },
+    [COMPRESSION.gzip]: { compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+    [COMPRESSION.brotli]: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync },
+};
+
+/**
+ * CHECK a codec name
+ *
+ * @param {string} name - 'none', 'deflate', 'gzip' or 'brotli'
+ * @returns {string} The same name
+ */
+function checkCompression(name) {
+    if (!Object.prototype.hasOwnProperty.call(COMPRESSION, name)) {
+        throw new Error(`Unknown compression: ${name} (expected ${Object.keys(COMPRESSION).join(', ')})`);
+    }
+    return name;
+}
+
+/**
+ * COMPRESS a block (or keep it raw if that's not worth it)
+ *
+ * @param {Buffer} contents - Uncompressed block
+ * @param {string} name - Codec to try
+ * @param {number} minSavings - Fraction of bytes compression must save (0..1)
+ * @returns {object} { data, type } - Bytes to store and the codec byte used
+ */
+function compressBlock(contents, name, minSavings) {
+    const type = COMPRESSION[checkCompression(name)];
+    if (type === COMPRESSION.none) {
+        return { data: contents, type };
+    }
+
+    const compressed = CODECS[type].compress(contents);
+    if (compressed.length > contents.length * (1 - minSavings)) {
+        return { data: contents, type: COMPRESSION.none };
+    }
+    return { data: compressed, type };
+}
+
+/**
+ * DECOMPRESS a block written by compressBlock()
+ *
+ * @param {Buffer} data - Stored bytes
+ * @param {number} type - Codec byte from the block trailer
+ * @returns {Buffer} Uncompressed block
+ */
+function decompressBlock(data, type) {
+    if (type === COMPRESSION.none) {
+        return data;
+    }
+    if (CODECS[type] === undefined) {
+        throw new Error(`Unknown compression type ${type}`);
+    }
+    return CODECS[type].decompress(data);
+}
+
+module.exports = { COMPRESSION, checkCompression, compressBlock, decompressBlock };
@@ -0,0 +1,41 @@
+/**
+ * ============================================================================
+ * STEP 4: Errors - Telling Damaged Data Apart from Bugs
+ * ============================================================================
+ *
+ * A CorruptionError means "the bytes on disk are not what we wrote":
+ * a checksum mismatch, a truncated block, an undecodable footer...
+ * It names the file, the byte offset and the block, so an operator can
+ * find (and restore) exactly the damaged table.
+ *
+ *   try {
+ *       db.get('user:1');
+ *   } catch (err) {
+ *       if (err instanceof CorruptionError) {
+ *           console.log(err.file, err.offset, err.block);
+ *       }
+ *   }
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB returns Status::Corruption("block checksum mismatch", file)
+ *    for the same situations.
+ */
+
+class CorruptionError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {object} details
+     * @param {string} details.file - Path of the damaged file
+     * @param {number} details.offset - Byte offset of the damaged block
+     * @param {string} details.block - Which block, e.g. 'data block 3', 'index block'
+     */
+    constructor(message, { file, offset, block }) {
+        super(`${file}: ${block} at offset ${offset}: ${message}`);
+        this.name = 'CorruptionError';
+        this.file = file;
+        this.offset = offset;
+        this.block = block;
+    }
+}
+
+module.exports = { CorruptionError };
@@ -0,0 +1,81 @@
+/**
+ * ============================================================================
+ * STEP 4: Read I/O - One Lookup, Sync or Async
+ * ============================================================================
+ *
+ * A lookup (find the block, check the filter, read the block...) is the
+ * same logic whether the bytes come from fs.readSync() or from an
+ * fs/promises FileHandle. So the logic never reads files itself: it is a
+ * generator that YIELDS the reads it needs and gets the bytes back:
+ *
+ *   *_blockSteps(offset, size) {
+ *       const cached = cache.get(...);            // no I/O needed?
+ *       if (cached) return cached;
+ *       const buffer = yield { files, filePath, offset, length };
+ *       return decode(buffer);
+ *   }
+ *
+ * and a driver does the actual reading, through the table cache's open
+ * files (`files`, see table-cache.js):
+ *
+ *   runReadsSync(reader.getSteps(key))          → value (blocks the thread)
+ *   await runReadsAsync(reader.getSteps(key))   → value (doesn't)
+ *
+ * Steps compose with yield*: the LSM tree's lookup yield*s into each
+ * SSTable's lookup, which yield*s into its block reads.
+ *
+ * A failed read is thrown INTO the steps, at their yield - so their
+ * try/catch and try/finally blocks run, as if they had read the file
+ * themselves. If they don't catch it, the driver throws it.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB hides reads behind RandomAccessFile (Env). Driving a lookup
+ *    from the outside like this is known as "sans-I/O" design.
+ */
+
+/**
+ * RUN READ STEPS with blocking reads
+ *
+ * @param {Generator} steps - Yields { files, filePath, offset, length },
+ *                            gets a Buffer
+ * @returns {any} What the steps return
+ */
+function runReadsSync(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        const { files, filePath, offset, length } = step.value;
+        const buffer = Buffer.alloc(length);
+        try {
+            files.readSync(filePath, buffer, offset);
+        } catch (err) {
+            step = steps.throw(err);
+            continue;
+        }
+        step = steps.next(buffer);
+    }
+    return step.value;
+}
+
+/**
+ * RUN READ STEPS without blocking (fs/promises FileHandles)
+ *
+ * @param {Generator} steps - Same as runReadsSync()
+ * @returns {Promise} Resolves to what the steps return
+ */
+async function runReadsAsync(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        const { files, filePath, offset, length } = step.value;
+        const buffer = Buffer.alloc(length);
+        try {
+            await files.read(filePath, buffer, offset);
+        } catch (err) {
+            step = steps.throw(err);
+            continue;
+        }
+        step = steps.next(buffer);
+    }
+    return step.value;
+}
+
+module.exports = { runReadsSync, runReadsAsync };
@@ -24,11 +24,22 @@
  *    │  ...                                                │
  *    │  Data Block N: [keyM:valM, ...]                    │
  *    ├────────────────────────────────────────────────────┤
+ *    │  Filter Block: Bloom filter of all keys (optional) │
+ *    ├────────────────────────────────────────────────────┤
+ *    │  Range Deletion Block: [start, end) tombstones     │
+ *    │                        (optional)                  │
+ *    ├────────────────────────────────────────────────────┤
  *    │  Index Block: [block1_start_key, offset],          │
  *    │               [block2_start_key, offset], ...      │
  *    ├────────────────────────────────────────────────────┤
- *    │  Footer: [index_offset, index_size, magic_number]  │
+ *    │  Footer: [index/filter offset+size, magic_number]  │
  *    └────────────────────────────────────────────────────┘
+ *    
+ *    Two on-disk formats (the reader handles both):
+ *    - SSTABLE_V1: JSON blocks, JSON index, JSON footer + its length
+ *    - SSTABLE_V2: binary prefix-compressed blocks, binary index, small
+ *      properties block, fixed 44-byte footer, and a codec byte + CRC32
+ *      after every block (see block-format.js)
  * 
  * 3. WHY BLOCKS?
  *    - Reading entire file for one key is wasteful
@@ -44,17 +55,59 @@
  *    
  *    Total disk reads: 2-3 (instead of scanning everything!)
  * 
+ * 5. VERSIONS
+ *    Entries may carry a sequence number. The same key can then appear
+ *    several times (newest version first), so that snapshots taken
+ *    before the flush can still read the older values.
+ *    All versions of one key are kept in the SAME data block, and the
+ *    footer records the table's smallest and largest sequence number.
+ * 
+ * 6. BLOOM FILTER
+ *    The filter block lets a reader skip the table for keys it doesn't
+ *    hold, without reading any data block (see bloom-filter.js).
+ * 
+ * 7. COMPRESSION
+ *    V2 blocks can be compressed one by one with deflate, gzip or brotli
+ *    (see compression.js). Blocks are still CUT by their uncompressed
+ *    size, so a compressed table has the same number of (smaller) blocks.
+ * 
+ * 8. KEY ORDER
+ *    Entries must arrive sorted by the table's comparator (bytewise by
+ *    default, see step3/comparator.js) - write() refuses them otherwise.
+ * 
+ *    writeSteps() is write() in slices: it yields after each data block,
+ *    so a background flush (step5/background-jobs.js) lets the event loop
+ *    run while it builds the table. The file is written in the last step.
+ *    The comparator's name goes into the table properties, so the file is
+ *    never searched in another order.
+ * 
+ * 9. RANGE DELETIONS
+ *    Range tombstones (see step5/range-deletion.js) are not entries of
+ *    any data block - they get a block of their own, located through the
+ *    table properties. The table's key range ([minKey, maxKey]) stretches
+ *    to cover them, and a table may hold nothing else.
+ * 
  * 🔗 HOW THIS RELATES TO LEVELDB:
- *    - LevelDB's .ldb files are SSTables
- *    - Also has bloom filters (skip blocks that definitely don't have key)
- *    - Uses block compression (snappy) to save space
+ *    - LevelDB's .ldb files are SSTables (V2 mirrors their block format)
+ *    - Also has bloom filters (filter block, same idea as ours)
+ *    - Uses block compression (snappy) to save space - ours uses zlib
  */
 
 const fs = require('fs');
 const path = require('path');
-
-// Tombstone marker - same as MemTable
-const TOMBSTONE = Symbol.for('TOMBSTONE');
+const { BloomFilter } = require('./bloom-filter');
+const {
+    BLOCK_TRAILER_SIZE,
+    BlockBuilder,
+    JsonBlockBuilder,
+    blockTrailer,
+    encodeIndex,
+    encodeFooter,
+} = require('./block-format');
+const { COMPRESSION, checkCompression, compressBlock } = require('./compression');
+const { checkComparator } = require('../step3/comparator');
+const { packBytes } = require('../step2/json-bytes');
+const { VALUE_TYPE } = require('../step2/value-type');
 
 /**
  * SSTable Writer
@@ -66,10 +119,33 @@ class SSTableWriter {
     /**
      * @param {string} filePath - Where to write the SSTable
      * @param {number} blockSize - Target size for data blocks (default: 4KB)
+     * @param {object} options
+     * @param {number} options.bitsPerKey - Bloom filter bits per key (default 10, 0 = no filter)
+     * @param {number} options.format - 2 = binary SSTABLE_V2 (default), 1 = JSON SSTABLE_V1
+     * @param {number} options.restartInterval - V2 entries between restart points (default 16)
+     * @param {string} options.compression - V2 block codec: 'none' (default), 'deflate', 'gzip', 'brotli'
+     * @param {number} options.minCompressionSavings - Store a block raw unless compression
+     *                                                 saves this fraction of it (default 0.125)
+     * @param {object} options.comparator - Key order of the entries (default: bytewise)
      */
-    constructor(filePath, blockSize = 4096) {
+    constructor(filePath, blockSize = 4096, options = {}) {
         this.filePath = filePath;
         this.blockSize = blockSize;
+        this.bitsPerKey = options.bitsPerKey !== undefined ? options.bitsPerKey : 10;
+        this.format = options.format || 2;
+        this.restartInterval = options.restartInterval || 16;
+        this.compression = checkCompression(options.compression || 'none');
+        this.minCompressionSavings = options.minCompressionSavings !== undefined
+            ? options.minCompressionSavings
+            : 0.125;
+        this.comparator = checkComparator(options.comparator);
+
+        if (this.format !== 1 && this.format !== 2) {
+            throw new Error(`Unknown SSTable format: ${this.format}`);
+        }
+        if (this.format === 1 && this.compression !== 'none') {
+            throw new Error('SSTABLE_V1 files cannot be compressed');
+        }
 
         // Create directory if needed
         const dir = path.dirname(filePath);
@@ -81,33 +157,91 @@ class SSTableWriter {
     /**
      * WRITE ENTRIES TO SSTABLE
      * 
-     * @param {Iterable} entries - Iterator of {key, value} pairs (must be sorted!)
+     * @param {Iterable} entries - Iterator of {key, type?, value, seq?, expiresAt?}
+     *                             entries - type is a VALUE_TYPE, default VALUE (must
+     *                             be sorted: key ascending by the comparator, then
+     *                             seq descending)
+     * @param {Array} rangeDeletions - Range tombstones { start, end, seq } (any order)
      * @returns {object} Metadata about the written SSTable
      * 
      * This is the main method - converts in-memory data to disk format.
      */
-    write(entries) {
+    write(entries, rangeDeletions = []) {
+        const steps = this.writeSteps(entries, rangeDeletions);
+        let step = steps.next();
+        while (!step.done) {
+            step = steps.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * WRITE ENTRIES, ONE DATA BLOCK PER STEP
+     * 
+     * Same as write(); the entries must not change until the last step.
+     * 
+     * @returns {Generator} Yields after each data block, returns the metadata
+     */
+    *writeSteps(entries, rangeDeletions = []) {
         // Collect all entries into array (for our simple implementation)
         const allEntries = [];
         for (const entry of entries) {
-            // Convert tombstone symbol to string for serialization
-            const value = entry.value === Symbol.for('TOMBSTONE') ? '__TOMBSTONE__' : entry.value;
-            allEntries.push({ key: entry.key, value });
+            const last = allEntries[allEntries.length - 1];
+            if (last !== undefined && this.comparator.compare(last.key, entry.key) > 0) {
+                throw new Error(`SSTable entries out of order for ${this.comparator.name}: ` +
+                    `"${entry.key}" after "${last.key}"`);
+            }
+            const type = entry.type === undefined ? VALUE_TYPE.VALUE : entry.type;
+            allEntries.push({ key: entry.key, type, value: entry.value, seq: entry.seq, expiresAt: entry.expiresAt });
         }
 
-        if (allEntries.length === 0) {
+        const tombstones = this._sortRangeDeletions(rangeDeletions);
+
+        if (allEntries.length === 0 && tombstones.length === 0) {
             throw new Error('Cannot write empty SSTable');
         }
 
         // Build data blocks
-        const dataBlocks = this._buildDataBlocks(allEntries);
+        const dataBlocks = yield* this._buildDataBlocks(allEntries);
+
+        // V2 blocks are followed by a checksum trailer
+        const trailerSize = this.format === 2 ? BLOCK_TRAILER_SIZE : 0;
 
         // Calculate final positions FIRST
         let currentOffset = 0;
         for (const block of dataBlocks) {
             block.offset = currentOffset;
-            currentOffset += block.data.length;
+            currentOffset += block.data.length + trailerSize;
+        }
+
+        // Build filter block (one entry per key, not per version)
+        let filterBlock = null;
+        let filterOffset = 0;
+        if (this.bitsPerKey > 0) {
+            const keys = [];
+            for (const entry of allEntries) {
+                if (keys.length === 0 || this.comparator.compare(keys[keys.length - 1], entry.key) !== 0) {
+                    keys.push(entry.key);
+                }
+            }
+            filterBlock = this._compress(BloomFilter.build(keys, this.bitsPerKey).serialize());
+            filterOffset = currentOffset;
+            currentOffset += filterBlock.data.length + trailerSize;
         }
+
+        // Build range deletion block (an ordinary block of RANGE_DELETION entries)
+        let rangeDelBlock = null;
+        let rangeDelOffset = 0;
+        if (tombstones.length > 0) {
+            const builder = this._newBlockBuilder();
+            for (const { start, end, seq } of tombstones) {
+                builder.add({ key: start, type: VALUE_TYPE.RANGE_DELETION, value: end, seq });
+            }
+            rangeDelBlock = this._compress(builder.finish());
+            rangeDelOffset = currentOffset;
+            currentOffset += rangeDelBlock.data.length + trailerSize;
+        }
+
         const indexOffset = currentOffset;
 
         // Build index block AFTER offsets are set
@@ -119,109 +253,254 @@ class SSTableWriter {
         }));
 
         // Serialize index block
-        const indexData = Buffer.from(JSON.stringify(indexEntries));
-        currentOffset += indexData.length;
+        const indexBlock = this._compress(this.format === 1
+            ? Buffer.from(JSON.stringify(indexEntries))
+            : encodeIndex(indexEntries));
+        currentOffset += indexBlock.data.length + trailerSize;
 
-        // Create footer
+        // Sequence numbers in the table (entries without one count as 0)
+        let smallestSeq = Infinity;
+        let largestSeq = 0;
+        for (const { seq = 0 } of [...allEntries, ...tombstones]) {
+            smallestSeq = Math.min(smallestSeq, seq);
+            largestSeq = Math.max(largestSeq, seq);
+        }
+
+        // Table properties (V1 keeps them in the JSON footer)
+        const { minKey, maxKey } = this._keyRange(allEntries, tombstones);
         const footer = {
             indexOffset,
-            indexSize: indexData.length,
+            indexSize: indexBlock.data.length,
             blockCount: dataBlocks.length,
             entryCount: allEntries.length,
-            minKey: allEntries[0].key,
-            maxKey: allEntries[allEntries.length - 1].key,
-            magic: 'SSTABLE_V1',
+            minKey,
+            maxKey,
+            smallestSeq,
+            largestSeq,
+            comparator: this.comparator.name,
+            magic: this.format === 1 ? 'SSTABLE_V1' : 'SSTABLE_V2',
+        };
+        if (filterBlock !== null) {
+            footer.filterOffset = filterOffset;
+            footer.filterSize = filterBlock.data.length;
+            footer.bitsPerKey = this.bitsPerKey;
+        }
+        const rangeDelProperties = rangeDelBlock === null ? {} : {
+            rangeDelOffset,
+            rangeDelSize: rangeDelBlock.data.length,
+            rangeDeletionCount: tombstones.length,
         };
-        const footerData = Buffer.from(JSON.stringify(footer));
+        Object.assign(footer, rangeDelProperties);
+        if (this.format === 2) {
+            footer.compression = this.compression;
+            footer.compressedBlocks = dataBlocks.filter(block => block.type !== COMPRESSION.none).length;
+        }
 
         // Write everything to file
         const fd = fs.openSync(this.filePath, 'w');
 
         // Write data blocks
         for (const block of dataBlocks) {
-            fs.writeSync(fd, block.data);
+            this._writeBlock(fd, block);
+        }
+
+        // Write filter block
+        if (filterBlock !== null) {
+            this._writeBlock(fd, filterBlock);
+        }
+
+        // Write range deletion block
+        if (rangeDelBlock !== null) {
+            this._writeBlock(fd, rangeDelBlock);
         }
 
         // Write index block
-        fs.writeSync(fd, indexData);
+        this._writeBlock(fd, indexBlock);
 
-        // Write footer THEN footer size (so reader can find size at end)
-        fs.writeSync(fd, footerData);
-        const footerSizeBuffer = Buffer.alloc(4);
-        footerSizeBuffer.writeUInt32LE(footerData.length);
-        fs.writeSync(fd, footerSizeBuffer);
+        if (this.format === 1) {
+            // Write footer THEN footer size (so reader can find size at end)
+            const footerData = Buffer.from(JSON.stringify(footer));
+            fs.writeSync(fd, footerData);
+            const footerSizeBuffer = Buffer.alloc(4);
+            footerSizeBuffer.writeUInt32LE(footerData.length);
+            fs.writeSync(fd, footerSizeBuffer);
+        } else {
+            // Properties block, then the fixed-size footer pointing at everything
+            const { blockCount, entryCount, comparator, compression, compressedBlocks } = footer;
+            const propertiesBlock = this._compress(Buffer.from(JSON.stringify(packBytes({
+                blockCount,
+                entryCount,
+                minKey,
+                maxKey,
+                smallestSeq,
+                largestSeq,
+                comparator,
+                bitsPerKey: filterBlock !== null ? this.bitsPerKey : 0,
+                restartInterval: this.restartInterval,
+                compression,
+                compressedBlocks,
+                ...rangeDelProperties,
+            }))));
+            this._writeBlock(fd, propertiesBlock);
+            fs.writeSync(fd, encodeFooter({
+                indexOffset,
+                indexSize: indexBlock.data.length,
+                filterOffset,
+                filterSize: filterBlock !== null ? filterBlock.data.length : 0,
+                propertiesOffset: currentOffset,
+                propertiesSize: propertiesBlock.data.length,
+            }));
+        }
 
         fs.closeSync(fd);
 
         console.log(`📁 Wrote SSTable: ${this.filePath}`);
         console.log(`   Entries: ${allEntries.length}`);
+        if (tombstones.length > 0) {
+            console.log(`   Range deletions: ${tombstones.length}`);
+        }
         console.log(`   Blocks: ${dataBlocks.length}`);
+        if (this.compression !== 'none') {
+            console.log(`   Compression: ${this.compression} (${footer.compressedBlocks}/${dataBlocks.length} blocks compressed)`);
+        }
         console.log(`   Size: ${fs.statSync(this.filePath).size} bytes`);
         console.log(`   Key range: [${footer.minKey}, ${footer.maxKey}]`);
 
         return footer;
     }
 
+    /**
+     * SORT RANGE TOMBSTONES by start key, then newest first
+     * 
+     * @throws {Error} A tombstone with start >= end
+     * @private
+     */
+    _sortRangeDeletions(rangeDeletions) {
+        const compare = this.comparator.compare;
+        for (const { start, end } of rangeDeletions) {
+            if (compare(start, end) >= 0) {
+                throw new Error(`Range deletion [${start}, ${end}) is empty`);
+            }
+        }
+        return [...rangeDeletions].sort((a, b) => compare(a.start, b.start) || b.seq - a.seq);
+    }
+
+    /**
+     * KEY RANGE OF THE TABLE: its entries' keys, stretched to cover its
+     * range tombstones
+     * 
+     * The end of a tombstone isn't deleted, but counts as inside the
+     * range - a little too wide is harmless, too narrow would let a read
+     * miss the tombstone.
+     * 
+     * @private
+     */
+    _keyRange(entries, tombstones) {
+        const compare = this.comparator.compare;
+        let minKey = entries.length > 0 ? entries[0].key : tombstones[0].start;
+        let maxKey = entries.length > 0 ? entries[entries.length - 1].key : tombstones[0].end;
+        for (const { start, end } of tombstones) {
+            if (compare(start, minKey) < 0) {
+                minKey = start;
+            }
+            if (compare(end, maxKey) > 0) {
+                maxKey = end;
+            }
+        }
+        return { minKey, maxKey };
+    }
+
+    /**
+     * COMPRESS A BLOCK with the table's codec (V2 only)
+     * 
+     * @param {Buffer} contents - Uncompressed block
+     * @returns {object} { data, type } - Bytes to store and the codec byte
+     * @private
+     */
+    _compress(contents) {
+        if (this.format === 1) {
+            return { data: contents, type: COMPRESSION.none };
+        }
+        return compressBlock(contents, this.compression, this.minCompressionSavings);
+    }
+
+    /**
+     * WRITE ONE BLOCK (plus its codec + checksum trailer in V2)
+     * 
+     * @param {object} block - { data, type } from _compress()
+     * @private
+     */
+    _writeBlock(fd, block) {
+        fs.writeSync(fd, block.data);
+        if (this.format === 2) {
+            fs.writeSync(fd, blockTrailer(block.data, block.type));
+        }
+    }
+
     /**
      * BUILD DATA BLOCKS
      * 
      * Groups entries into blocks of ~blockSize bytes.
      * Each block contains multiple key-value pairs.
+     * Yields after each finished block (see writeSteps()).
      * 
      * @private
      */
-    _buildDataBlocks(entries) {
+    *_buildDataBlocks(entries) {
         const blocks = [];
-        let currentBlockEntries = [];
-        let currentBlockSize = 0;
+        let builder = this._newBlockBuilder();
+        let firstKey = null;
+        let lastKey = null;
 
         for (const entry of entries) {
-            const entrySize = this._estimateEntrySize(entry);
-
-            // If adding this entry would exceed block size, finalize current block
-            if (currentBlockSize + entrySize > this.blockSize && currentBlockEntries.length > 0) {
-                blocks.push(this._finalizeBlock(currentBlockEntries));
-                currentBlockEntries = [];
-                currentBlockSize = 0;
+            // Block is full → finalize it before starting a new key
+            // (but never split the versions of one key across two blocks)
+            if (builder.entryCount > 0 && builder.estimatedSize >= this.blockSize &&
+                this.comparator.compare(entry.key, lastKey) !== 0) {
+                blocks.push(this._finalizeBlock(builder, firstKey, lastKey));
+                builder = this._newBlockBuilder();
+                yield;
             }
 
-            currentBlockEntries.push(entry);
-            currentBlockSize += entrySize;
+            if (builder.entryCount === 0) {
+                firstKey = entry.key;
+            }
+            builder.add(entry);
+            lastKey = entry.key;
         }
 
         // Finalize last block
-        if (currentBlockEntries.length > 0) {
-            blocks.push(this._finalizeBlock(currentBlockEntries));
+        if (builder.entryCount > 0) {
+            blocks.push(this._finalizeBlock(builder, firstKey, lastKey));
         }
 
         return blocks;
     }
 
+    /**
+     * @private
+     */
+    _newBlockBuilder() {
+        return this.format === 1 ? new JsonBlockBuilder() : new BlockBuilder(this.restartInterval);
+    }
+
     /**
      * FINALIZE A DATA BLOCK
      * 
-     * Converts entries to binary format and adds metadata.
+     * Converts entries to binary format, compresses them and adds metadata.
      * 
      * @private
      */
-    _finalizeBlock(entries) {
-        const data = Buffer.from(JSON.stringify(entries));
+    _finalizeBlock(builder, startKey, endKey) {
+        const { data, type } = this._compress(builder.finish());
         return {
-            startKey: entries[0].key,
-            endKey: entries[entries.length - 1].key,
+            startKey,
+            endKey,
             data,
+            type,
             offset: 0, // Will be set later
         };
     }
-
-    /**
-     * ESTIMATE ENTRY SIZE
-     * 
-     * @private
-     */
-    _estimateEntrySize(entry) {
-        return JSON.stringify(entry).length;
-    }
 }
 
-module.exports = { SSTableWriter, TOMBSTONE };
+module.exports = { SSTableWriter };
@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * STEP 4: Table Cache - Keeping SSTable Files Open
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand why a database keeps its files open, and why it can't keep
+ * ALL of them open.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    Opening a file per block read costs two extra syscalls every time:
+ *      open → read → close     open → read → close     ...
+ *    A scan over 20 Level 0 files pays that for every block of every file.
+ *
+ * 2. ONE DESCRIPTOR PER TABLE
+ *    Open each SSTable once and keep the descriptor: a block read is then
+ *    a single pread() at an offset. SSTables are immutable, so a
+ *    descriptor never goes stale - until the file is deleted.
+ *
+ * 3. BUT NOT TOO MANY
+ *    A process may only hold so many open files (`ulimit -n`, often 1024).
+ *    A big database has more tables than that, so at most maxOpenFiles
+ *    stay open, Least Recently Used closed first (a JS Map in insertion
+ *    order, like block-cache.js). An evicted table is simply reopened on
+ *    its next read.
+ *
+ * 4. SYNC AND ASYNC READS
+ *    readSync() reads with fs.readSync; read() with an fs/promises
+ *    FileHandle (a table first opened by readSync() is read with fs.read
+ *    on its descriptor - also without blocking). A file with an async read
+ *    in flight is never closed under it: closing waits for the read.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's TableCache holds open tables in an LRU cache sized by
+ *    Options::max_open_files (default 1000).
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { promisify } = require('util');
+
+const readFd = promisify(fs.read);
+
+class TableCache {
+    /**
+     * @param {number} maxOpenFiles - Files kept open at once (default 1000)
+     */
+    constructor(maxOpenFiles = 1000) {
+        this.maxOpenFiles = maxOpenFiles;
+
+        // filePath → { fd, handle, opening, reads, closed }, least recently used first
+        this._files = new Map();
+
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * DESCRIPTOR of a file, opening it if needed
+     *
+     * Valid until the next call into the cache (which may evict it).
+     *
+     * @param {string} filePath
+     * @returns {number}
+     */
+    fdSync(filePath) {
+        const entry = this._lookup(filePath);
+        if (entry !== undefined && entry.fd !== null) {
+            return entry.fd;
+        }
+        if (entry !== undefined) {
+            // An async open is still running: wait for nothing, open our own
+            this._close(entry);
+        }
+
+        this.misses++;
+        const fd = fs.openSync(filePath, 'r');
+        this._add(filePath, { fd, handle: null, opening: null, reads: 0, closed: false });
+        return fd;
+    }
+
+    /**
+     * READ bytes at a position, blocking
+     *
+     * @param {string} filePath
+     * @param {Buffer} buffer - Filled completely
+     * @param {number} position - Byte offset in the file
+     */
+    readSync(filePath, buffer, position) {
+        fs.readSync(this.fdSync(filePath), buffer, 0, buffer.length, position);
+    }
+
+    /**
+     * READ bytes at a position, without blocking
+     *
+     * @returns {Promise}
+     */
+    async read(filePath, buffer, position) {
+        let entry = this._lookup(filePath);
+        if (entry === undefined) {
+            this.misses++;
+            entry = { fd: null, handle: null, opening: null, reads: 0, closed: false };
+            entry.opening = fsp.open(filePath, 'r').then(handle => {
+                entry.handle = handle;
+                entry.fd = handle.fd;
+                entry.opening = null;
+            }, err => {
+                if (this._files.get(filePath) === entry) {
+                    this._files.delete(filePath);
+                }
+                throw err;
+            });
+            this._add(filePath, entry);
+        }
+
+        entry.reads++;
+        try {
+            if (entry.opening !== null) {
+                await entry.opening;
+            }
+            if (entry.handle !== null) {
+                await entry.handle.read(buffer, 0, buffer.length, position);
+            } else {
+                await readFd(entry.fd, buffer, 0, buffer.length, position);
+            }
+        } finally {
+            entry.reads--;
+            if (entry.closed && entry.reads === 0) {
+                this._release(entry);
+            }
+        }
+    }
+
+    /**
+     * CLOSE A FILE (e.g. its table was deleted)
+     *
+     * @param {string} filePath
+     */
+    evict(filePath) {
+        const entry = this._files.get(filePath);
+        if (entry !== undefined) {
+            this._files.delete(filePath);
+            this._close(entry);
+        }
+    }
+
+    /**
+     * CLOSE EVERY FILE
+     */
+    close() {
+        for (const entry of this._files.values()) {
+            this._close(entry);
+        }
+        this._files.clear();
+    }
+
+    /**
+     * GET STATS
+     */
+    stats() {
+        return {
+            maxOpenFiles: this.maxOpenFiles,
+            openFiles: this._files.size,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+        };
+    }
+
+    /**
+     * FIND AN OPEN FILE and mark it most recently used
+     *
+     * @private
+     */
+    _lookup(filePath) {
+        const entry = this._files.get(filePath);
+        if (entry !== undefined) {
+            this._files.delete(filePath);
+            this._files.set(filePath, entry);
+            this.hits++;
+        }
+        return entry;
+    }
+
+    /**
+     * @private
+     */
+    _add(filePath, entry) {
+        this._files.set(filePath, entry);
+
+        // Close least recently used files (the new one is the newest)
+        for (const [oldPath, oldEntry] of this._files) {
+            if (this._files.size <= this.maxOpenFiles || oldEntry === entry) {
+                break;
+            }
+            this._files.delete(oldPath);
+            this._close(oldEntry);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * CLOSE AN ENTRY now, or once its async reads are done
+     *
+     * @private
+     */
+    _close(entry) {
+        entry.closed = true;
+        if (entry.reads === 0) {
+            this._release(entry);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _release(entry) {
+        if (entry.handle !== null) {
+            entry.handle.close().catch(() => {});
+        } else if (entry.fd !== null) {
+            fs.closeSync(entry.fd);
+        }
+        entry.handle = null;
+        entry.fd = null;
+    }
+}
+
+module.exports = { TableCache };
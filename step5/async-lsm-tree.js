@@ -0,0 +1,363 @@
+/**
+ * ============================================================================
+ * STEP 5: Async LSM Tree - A Promise API That Doesn't Block the Event Loop
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand what it takes to put a storage engine inside a server
+ * without freezing every other request while the disk works.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    db.set() calls fs.writeSync + fs.fsyncSync, db.get() calls
+ *    fs.readSync. Each one stops the whole process - an HTTP server
+ *    answers nobody while an fsync takes 10ms.
+ *
+ * 2. THE SAME DATABASE, ANOTHER API
+ *    db.promises shares everything with db - MemTables, levels, caches,
+ *    background jobs. Only the disk I/O on the request path changes:
+ *
+ *    ┌──────────────┬───────────────────────────────────────────────────┐
+ *    │ Operation    │ How it avoids blocking                            │
+ *    ├──────────────┼───────────────────────────────────────────────────┤
+ *    │ set / delete │ WAL record appended (and fsynced) through an      │
+ *    │ merge, write │ fs/promises FileHandle                            │
+ *    │ deleteRange  │                                                   │
+ *    │ get          │ the lookup's block reads go through FileHandles   │
+ *    │              │ (step4/read-io.js)                                │
+ *    │ iterator     │ blocks the next move needs are read ahead into    │
+ *    │              │ the block cache first                             │
+ *    └──────────────┴───────────────────────────────────────────────────┘
+ *
+ * 3. ORDERING
+ *    Writes are queued and applied one after the other, in call order:
+ *
+ *      db.promises.set('a', 1);      // no await
+ *      db.promises.set('a', 2);
+ *      await db.promises.get('a');   // → 2
+ *
+ *    A read (or a new iterator) waits for the writes issued before it,
+ *    so it always sees them. A write's sequence number becomes visible
+ *    only once it is in the MemTable - a snapshot taken meanwhile can't
+ *    see half of a write. Sync writes on the same database are refused
+ *    while async ones are pending (they would cut in line).
+ *
+ * 4. BACK-PRESSURE
+ *    Every write first awaits db.whenWritable(): during a write stall
+ *    (see lsm-tree.js) writers wait instead of piling up.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB queues writers too (DBImpl::Write, one writer at the front
+ *    applies the queue). Node's own fs.promises is the model for the
+ *    db.promises name.
+ */
+
+const { runReadsAsync } = require('../step4/read-io');
+const { expiryFor, remainingTtl } = require('../step2/expiry');
+const { encodeKey, encodeValue, decodeValue } = require('./encodings');
+
+class AsyncLSMTree {
+    /**
+     * @param {LSMTree} db - The database to wrap (use db.promises)
+     */
+    constructor(db) {
+        this.db = db;
+
+        // Tail of the write queue (never rejects)
+        this._writes = Promise.resolve();
+    }
+
+    /**
+     * SET a key-value pair
+     *
+     * @param {object} options - { ttl, keyEncoding, valueEncoding }, like LSMTree.set()
+     * @returns {Promise} Resolves to value once the write is applied - and
+     *                    durable, unless walSyncPolicy is 'interval' or 'none'
+     */
+    async set(key, value, options = {}) {
+        const encodings = this.db._encodings(options);
+        const storedKey = encodeKey(encodings.keyEncoding, key);
+        const storedValue = encodeValue(encodings.valueEncoding, value);
+        const expiresAt = expiryFor(options.ttl);
+        await this._write(1,
+            (wal, seq) => wal.logSetAsync(storedKey, storedValue, seq, expiresAt),
+            (memtable, seq) => memtable.set(storedKey, storedValue, seq, expiresAt));
+        return value;
+    }
+
+    /**
+     * DELETE a key
+     *
+     * @param {object} options - { keyEncoding } for this call
+     * @returns {Promise} Resolves to true, like set()
+     */
+    async delete(key, options = {}) {
+        const storedKey = encodeKey(this.db._encodings(options).keyEncoding, key);
+        await this._write(1,
+            (wal, seq) => wal.logDeleteAsync(storedKey, seq),
+            (memtable, seq) => memtable.delete(storedKey, seq));
+        return true;
+    }
+
+    /**
+     * MERGE an operand into a key's value, like LSMTree.merge()
+     *
+     * @param {object} options - { keyEncoding, valueEncoding } for this call
+     * @returns {Promise} Resolves to operand, like set()
+     */
+    async merge(key, operand, options = {}) {
+        const { storedKey, storedOperand } = this.db._encodeMerge(key, operand, options);
+        await this._write(1,
+            (wal, seq) => wal.logMergeAsync(storedKey, storedOperand, seq),
+            (memtable, seq) => memtable.merge(storedKey, storedOperand, seq));
+        return operand;
+    }
+
+    /**
+     * DELETE EVERY KEY in [startKey, endKey), like LSMTree.deleteRange()
+     *
+     * @param {object} options - { keyEncoding } for this call
+     * @returns {Promise}
+     */
+    async deleteRange(startKey, endKey, options = {}) {
+        const range = this.db._encodeRange(startKey, endKey, options);
+        if (range === null) {
+            return;
+        }
+        await this._write(1,
+            (wal, seq) => wal.logDeleteRangeAsync(range.start, range.end, seq),
+            (memtable, seq) => memtable.deleteRange(range.start, range.end, seq));
+    }
+
+    /**
+     * WRITE a batch of operations atomically
+     *
+     * @param {WriteBatch} batch
+     * @param {object} options - { keyEncoding, valueEncoding }, like LSMTree.write()
+     * @returns {Promise}
+     */
+    async write(batch, options = {}) {
+        if (batch.length === 0) {
+            return;
+        }
+        batch = this.db._encodeBatch(batch, options);
+        await this._write(batch.length,
+            (wal, seq) => wal.logBatchAsync(batch, seq),
+            (memtable, seq) => memtable.write(batch, seq));
+    }
+
+    /**
+     * GET a value
+     *
+     * @param {string|Buffer} key
+     * @param {object} options - { snapshot, keyEncoding, valueEncoding }
+     * @returns {Promise} Resolves to the value, or undefined
+     */
+    async get(key, options = {}) {
+        const { keyEncoding, valueEncoding } = this.db._encodings(options);
+        key = encodeKey(keyEncoding, key);
+        await this._writes;
+
+        const entry = await this._getEntry(key, this.db._readSequence(options));
+        return entry === undefined ? undefined : decodeValue(valueEncoding, entry.value);
+    }
+
+    /**
+     * TTL - How long until a key expires
+     *
+     * @param {string|Buffer} key
+     * @param {object} options - { snapshot, keyEncoding }
+     * @returns {Promise} Resolves to the milliseconds left, Infinity if the
+     *                    key never expires, undefined if it doesn't exist
+     */
+    async ttl(key, options = {}) {
+        key = encodeKey(this.db._encodings(options).keyEncoding, key);
+        await this._writes;
+
+        const entry = await this._getEntry(key, this.db._readSequence(options));
+        return entry === undefined ? undefined : remainingTtl(entry.expiresAt);
+    }
+
+    /**
+     * EXPIRE - Make an existing key expire ms from now, like LSMTree.expire()
+     *
+     * @param {string|Buffer} key
+     * @param {number} ms - Time to live from now (Infinity: never expire)
+     * @param {object} options - { keyEncoding }
+     * @returns {Promise} Resolves to false if there was no such key
+     */
+    async expire(key, ms, options = {}) {
+        const storedKey = encodeKey(this.db._encodings(options).keyEncoding, key);
+        const expiresAt = expiryFor(ms);
+
+        // The read happens in the write queue, so no write can come between
+        // it and the new version. A missing key just skips a sequence number.
+        let entry;
+        await this._write(1,
+            async (wal, seq) => {
+                entry = await this._getEntry(storedKey, seq - 1);
+                if (entry !== undefined) {
+                    await wal.logSetAsync(storedKey, entry.value, seq, expiresAt);
+                }
+            },
+            (memtable, seq) => entry !== undefined && memtable.set(storedKey, entry.value, seq, expiresAt));
+        return entry !== undefined;
+    }
+
+    /**
+     * FIND THE LIVE ENTRY of a key without blocking (see LSMTree._getSteps)
+     *
+     * @returns {Promise} The entry, or undefined
+     * @private
+     */
+    async _getEntry(key, seq) {
+        const db = this.db;
+
+        // Compaction may replace files while we wait for the disk:
+        // search the files of this moment, pinned until we're done
+        const levels = db.levels.map(files => [...files]);
+        const sstables = levels.flat();
+        db._pinFiles(sstables);
+        try {
+            return await runReadsAsync(db._getSteps(key, seq, levels));
+        } finally {
+            db._unpinFiles(sstables);
+        }
+    }
+
+    /**
+     * ITERATOR - Scan keys in order (same options as LSMTree.iterator())
+     *
+     *   for await (const { key, value } of db.promises.iterator({ gte: 'user:' })) { ... }
+     *
+     * @returns {AsyncDBIterator}
+     */
+    iterator(options = {}) {
+        return new AsyncDBIterator(this._writes.then(() => this.db.iterator(options)));
+    }
+
+    /**
+     * CLOSE - Finish the queued writes, then close the database
+     *
+     * @returns {Promise}
+     */
+    async close() {
+        await this._writes;
+        await this.db.wal.closeHandle();
+        this.db.close();
+    }
+
+    /**
+     * QUEUE A WRITE: wait for earlier writes and for write stalls, append
+     * the WAL record, then apply it to the MemTable
+     *
+     * @param {number} count - Sequence numbers the write uses
+     * @param {Function} log - (wal, seq) => Promise of the WAL append
+     * @param {Function} apply - (memtable, seq) => should the MemTable flush?
+     * @returns {Promise} Resolves once applied and (per policy) durable
+     * @private
+     */
+    _write(count, log, apply) {
+        const db = this.db;
+        db._asyncWrites++;
+
+        let durable = null;
+        const applied = this._writes.then(async () => {
+            await db.whenWritable();
+
+            const wal = db.wal;
+            const seq = db.lastSequence + 1;
+            await log(wal, seq);
+            if (wal.syncPolicy === 'group') {
+                // Join the next group commit, but let the queue move on
+                durable = wal.sync();
+            }
+
+            const shouldFlush = apply(db.memtable, seq);
+            db.lastSequence = seq + count - 1;
+            if (shouldFlush) {
+                db._freezeMemtable();
+            }
+        }).finally(() => {
+            db._asyncWrites--;
+        });
+
+        this._writes = applied.catch(() => {});
+        return applied.then(() => durable);
+    }
+}
+
+/**
+ * Async DB Iterator
+ *
+ * Wraps a DBIterator: every move first reads ahead the blocks it needs
+ * (DBIterator.prefetch) without blocking, then makes the move - which
+ * now finds its blocks in the block cache.
+ */
+class AsyncDBIterator {
+    /**
+     * @param {Promise} iterator - Promise of the DBIterator to wrap
+     */
+    constructor(iterator) {
+        this._iterator = iterator;
+    }
+
+    /**
+     * NEXT - Step forward over one entry
+     *
+     * @returns {Promise} { key, value }, or undefined at the end
+     */
+    async next() {
+        const it = await this._iterator;
+        await it.prefetch('next');
+        return it.next();
+    }
+
+    /**
+     * PREV - Step backward over one entry
+     *
+     * @returns {Promise} { key, value }, or undefined at the start
+     */
+    async prev() {
+        const it = await this._iterator;
+        await it.prefetch('prev');
+        return it.prev();
+    }
+
+    /**
+     * SEEK - next() then returns the first entry >= key (<= key when reverse)
+     *
+     * @returns {Promise}
+     */
+    async seek(key) {
+        const it = await this._iterator;
+        await it.prefetch('seek', key);
+        it.seek(key);
+    }
+
+    /**
+     * CLOSE - Releases the SSTables the scan was pinning
+     *
+     * @returns {Promise}
+     */
+    async close() {
+        (await this._iterator).close();
+    }
+
+    /**
+     * ITERATE remaining entries with for await...of (closes when done)
+     */
+    async *[Symbol.asyncIterator]() {
+        try {
+            let entry;
+            while ((entry = await this.next()) !== undefined) {
+                yield entry;
+            }
+        } finally {
+            await this.close();
+        }
+    }
+}
+
+module.exports = { AsyncLSMTree, AsyncDBIterator };
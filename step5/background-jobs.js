@@ -0,0 +1,252 @@
+/**
+ * ============================================================================
+ * STEP 5: Background Jobs - Flushing and Compacting Off the Write Path
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how a database keeps writes fast while flushes and
+ * compactions - which can take seconds - happen "in the background".
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    If set() flushes the MemTable itself, the unlucky write that fills
+ *    it waits for the whole flush - and for any compaction after it:
+ *
+ *      set() 0.01ms  set() 0.01ms  set() 900ms (!)  set() 0.01ms
+ *
+ * 2. JOBS AS STEPS
+ *    A job (one flush, or one compaction) is a generator function that
+ *    does a slice of work and then `yield`s. Between two slices the
+ *    event loop runs - writes, reads, timers, other jobs:
+ *
+ *      function* compaction() {
+ *          ...merge 1000 keys...   yield;
+ *          ...write a file...      yield;
+ *          ...install the result...
+ *      }
+ *
+ *    JavaScript has one thread, so "in the background" means "in small
+ *    pieces between everything else" - no locks needed, because a slice
+ *    is never interrupted.
+ *
+ * 3. HOW MANY AT ONCE
+ *    maxJobs caps the jobs in flight. The owner decides WHICH job is next
+ *    (pickJob), e.g. "flush before compacting", or "never two compactions
+ *    on the same files".
+ *
+ *    maxJobs = 0 runs every job to completion immediately, inside
+ *    schedule() - handy for scripts and tests that want the old,
+ *    deterministic behavior.
+ *
+ *    runStep() does one step in the foreground, for a caller that has
+ *    to wait for the background work anyway (a stalled write).
+ *
+ * 4. FAILURES
+ *    A job that throws stops all background work: the error is kept in
+ *    `error`, and the owner refuses writes from then on (retrying blindly
+ *    could make things worse, e.g. on a full disk).
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB runs flushes and compactions on ONE background thread
+ *    (DBImpl::BackgroundCall) and keeps the first error in bg_error_.
+ *    RocksDB has a thread pool sized by max_background_jobs.
+ */
+
+class BackgroundJobs {
+    /**
+     * @param {object} options
+     * @param {number} options.maxJobs - Jobs in flight at once (0 = run inline)
+     * @param {Function} options.pickJob - () => { name, steps, onDone } or null
+     *                   steps: iterator of work slices; onDone: called once the
+     *                   job finished or failed (never after stop())
+     */
+    constructor({ maxJobs, pickJob }) {
+        this.maxJobs = maxJobs;
+        this.pickJob = pickJob;
+
+        this.running = 0;
+        this.completed = 0;
+        this.error = null;
+        this.stopped = false;
+
+        this._active = new Set();
+        this._inline = false;
+        this._idleWaiters = [];
+    }
+
+    /**
+     * SCHEDULE - Start as many jobs as the limit allows
+     *
+     * Call whenever new work may exist (a MemTable filled up, a job ended).
+     */
+    schedule() {
+        if (this.stopped || this.error !== null) {
+            this._notifyIdle();
+            return;
+        }
+
+        if (this.maxJobs === 0) {
+            this._runInline();
+            return;
+        }
+
+        while (this.running < this.maxJobs) {
+            const job = this.pickJob();
+            if (job === null) {
+                break;
+            }
+            this._start(job);
+        }
+        this._notifyIdle();
+    }
+
+    /**
+     * WHEN IDLE - Resolves once no job is running or waiting to run
+     *
+     * @returns {Promise} Rejects if background work failed
+     */
+    whenIdle() {
+        return new Promise((resolve, reject) => {
+            this._idleWaiters.push({ resolve, reject });
+            this._notifyIdle();
+        });
+    }
+
+    /**
+     * STOP - Abandon running jobs and start no more
+     *
+     * Their queued ticks find `stopped` and do nothing - no onDone(), no
+     * scheduling - so nothing runs against a closed owner.
+     */
+    stop() {
+        this.stopped = true;
+        this.running = 0;
+        this._active.clear();
+        this._notifyIdle();
+    }
+
+    /**
+     * RUN ONE STEP IN THE FOREGROUND - for a caller that must wait for
+     * background work anyway (e.g. a write stall) and may as well help
+     *
+     * Steps the oldest running job, or starts the next one.
+     *
+     * @returns {boolean} false if there was nothing to do
+     */
+    runStep() {
+        if (this.error !== null) {
+            throw this.error;
+        }
+        if (this.stopped) {
+            return false;
+        }
+
+        let [job] = this._active;
+        if (job === undefined) {
+            job = this.pickJob();
+            if (job === null) {
+                return false;
+            }
+            this._start(job);
+        }
+
+        this._step(job);
+        if (this.error !== null) {
+            throw this.error;
+        }
+        return true;
+    }
+
+    /**
+     * RUN ONE JOB, one step per turn of the event loop
+     *
+     * @private
+     */
+    _start(job) {
+        this.running++;
+        this._active.add(job);
+
+        const tick = () => {
+            // (runStep() may have finished it meanwhile)
+            if (!this.stopped && this._active.has(job) && this._step(job)) {
+                setImmediate(tick);
+            }
+        };
+        setImmediate(tick);
+    }
+
+    /**
+     * @returns {boolean} true if the job has more steps
+     * @private
+     */
+    _step(job) {
+        try {
+            if (!job.steps.next().done) {
+                return true;
+            }
+            this.completed++;
+        } catch (err) {
+            this._fail(job, err);
+        }
+        if (this.stopped) {
+            return false; // (stopped from inside the step)
+        }
+
+        this.running--;
+        this._active.delete(job);
+        job.onDone();
+        this.schedule();
+        return false;
+    }
+
+    /**
+     * maxJobs = 0: drain every job right here
+     *
+     * @private
+     */
+    _runInline() {
+        // A job's onDone() calls schedule() again - the outer loop handles it
+        if (this._inline) {
+            return;
+        }
+
+        this._inline = true;
+        try {
+            while (this.runStep()) {
+                // Each step does its work inside runStep()
+            }
+        } finally {
+            this._inline = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _fail(job, err) {
+        this.error = err;
+        console.log(`❌ Background ${job.name} failed: ${err.message}`);
+    }
+
+    /**
+     * @private
+     */
+    _notifyIdle() {
+        if (this.running > 0 || this._idleWaiters.length === 0) {
+            return;
+        }
+
+        const waiters = this._idleWaiters;
+        this._idleWaiters = [];
+        for (const waiter of waiters) {
+            if (this.error !== null) {
+                waiter.reject(this.error);
+            } else {
+                waiter.resolve();
+            }
+        }
+    }
+}
+
+module.exports = { BackgroundJobs };
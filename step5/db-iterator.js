@@ -0,0 +1,568 @@
+/**
+ * ============================================================================
+ * STEP 5: DB Iterator - Scanning Keys in Order
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how a scan turns the merged stream of ALL versions
+ * (merging-iterator.js) into the key/value pairs a user expects.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. FROM VERSIONS TO KEYS
+ *    The merged stream holds every version, newest first per key:
+ *
+ *      a@8 (deletion)  a@3=1  b@9=2  b@5=1  c@7=5
+ *
+ *    Reading at sequence 8, the iterator:
+ *    - skips versions newer than 8         (b@9 - written after the read began)
+ *    - takes the newest remaining version  (a@8, b@5, c@7)
+ *    - hides keys whose newest is a deletion (a is deleted), or has
+ *      expired (see step2/expiry.js) by the time the iterator was created
+ *    → b=1, c=5
+ *
+ *    A newest version that is a merge operand is combined with the older
+ *    versions under it (see merge-operator.js). A version under a range
+ *    tombstone the read can see counts as a deletion (see
+ *    range-deletion.js).
+ *
+ *    All of this happens one entry at a time - nothing is collected.
+ *
+ * 2. USAGE
+ *    const it = db.iterator({ gte: 'user:', lt: 'user;', limit: 10 });
+ *    for (const { key, value } of it) { ... }          // or: for await
+ *
+ *    Or drive it by hand:
+ *    it.seek('user:500');   // next() now returns the first key >= user:500
+ *    it.next();             // → { key, value } or undefined at the end
+ *    it.prev();             // walks back the other way
+ *    it.close();            // lets compaction delete files the scan used
+ *
+ * 3. THE CURSOR SITS BETWEEN ENTRIES
+ *    next() steps over the entry after the cursor and returns it; prev()
+ *    steps over the entry before it. So next() followed by prev() returns
+ *    the SAME entry twice (like Java's ListIterator).
+ *
+ *    With { reverse: true } "after" means "smaller key": next() walks
+ *    down, prev() walks up, and seek(key) lands on the first key <= key.
+ *
+ * 4. BOUNDS
+ *    gt / gte / lt / lte limit the scan; limit caps how many entries
+ *    next() returns in total.
+ *
+ * 5. ENCODINGS
+ *    Bounds and seek() keys are encoded with keyEncoding, the entries
+ *    next() / prev() return are decoded with keyEncoding / valueEncoding
+ *    (see encodings.js).
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's DBIter (db/db_iter.cc) sits on top of its MergingIterator
+ *    in exactly this way. The options follow LevelUP's iterator API.
+ */
+
+const { BytewiseComparator } = require('../step3/comparator');
+const { VALUE_TYPE } = require('../step2/value-type');
+const { isExpired } = require('../step2/expiry');
+const { encodeKey, decodeKey, decodeValue } = require('./encodings');
+const { applyMerges } = require('./merge-operator');
+const { coveringSeq } = require('./range-deletion');
+
+class DBIterator {
+    /**
+     * @param {MergingIterator} merged - Every version from every source
+     * @param {object} options
+     * @param {number} options.sequence - Only see versions with seq <= sequence
+     * @param {string} options.gt / gte / lt / lte - Key bounds (optional)
+     * @param {object} options.comparator - Key order (default: bytewise)
+     * @param {MergeOperator} options.mergeOperator - Combines merge operands
+     *                                               (default: none)
+     * @param {Array} options.rangeDeletions - Range tombstones of every source
+     *                                         { start, end, seq } (default: none)
+     * @param {object} options.keyEncoding - Checked key encoding (default: none,
+     *                                       keys are used as stored)
+     * @param {object} options.valueEncoding - Checked value encoding (default: none)
+     * @param {boolean} options.reverse - Iterate from the largest key down
+     * @param {number} options.limit - Max entries next() returns (default: no limit)
+     * @param {Function} options.onClose - Called once by close()
+     */
+    constructor(merged, options) {
+        this.merged = merged;
+        this.sequence = options.sequence;
+        // Expiry is judged as of now, so the whole scan agrees on it
+        this.now = Date.now();
+        this.keyEncoding = options.keyEncoding || null;
+        this.valueEncoding = options.valueEncoding || null;
+        this.gt = this._encodeKey(options.gt);
+        this.gte = this._encodeKey(options.gte);
+        this.lt = this._encodeKey(options.lt);
+        this.lte = this._encodeKey(options.lte);
+        this.compare = (options.comparator || BytewiseComparator).compare;
+        this.mergeOperator = options.mergeOperator || null;
+        this.rangeDeletions = options.rangeDeletions || [];
+        this.reverse = Boolean(options.reverse);
+        this.limit = options.limit !== undefined && options.limit >= 0 ? options.limit : Infinity;
+        this.onClose = options.onClose || null;
+
+        // Cursor: 'start' / 'end', or next to an entry ('before' / 'after' it)
+        this._state = 'start';
+        this._entry = null;
+        this._count = 0;
+        this.closed = false;
+
+        // Where the merged stream is, so the next step can skip a re-seek:
+        // forward → on the newest visible version of _mergedKey
+        // reverse → just before every version of _mergedKey
+        this._mergedDirection = null;
+        this._mergedKey = null;
+    }
+
+    /**
+     * NEXT - Step forward over one entry
+     *
+     * @returns {object|undefined} { key, value }, or undefined at the end
+     */
+    next() {
+        this._checkOpen();
+        if (this._count >= this.limit) {
+            return undefined;
+        }
+
+        let entry;
+        if (this._state === 'start') {
+            entry = this.reverse ? this._last() : this._first();
+        } else if (this._state === 'before') {
+            entry = this._entry;
+        } else if (this._state === 'after') {
+            entry = this.reverse ? this._before(this._entry.key) : this._after(this._entry.key);
+        } else {
+            return undefined;
+        }
+
+        if (entry === null) {
+            this._state = 'end';
+            this._entry = null;
+            return undefined;
+        }
+
+        this._state = 'after';
+        this._entry = entry;
+        this._count++;
+        return this._output(entry);
+    }
+
+    /**
+     * PREV - Step backward over one entry
+     *
+     * @returns {object|undefined} { key, value }, or undefined at the start
+     */
+    prev() {
+        this._checkOpen();
+
+        let entry;
+        if (this._state === 'end') {
+            entry = this.reverse ? this._first() : this._last();
+        } else if (this._state === 'after') {
+            entry = this._entry;
+        } else if (this._state === 'before') {
+            entry = this.reverse ? this._after(this._entry.key) : this._before(this._entry.key);
+        } else {
+            return undefined;
+        }
+
+        if (entry === null) {
+            this._state = 'start';
+            this._entry = null;
+            return undefined;
+        }
+
+        this._state = 'before';
+        this._entry = entry;
+        return this._output(entry);
+    }
+
+    /**
+     * SEEK - Put the cursor just before the first entry >= key
+     * (<= key when reverse), so next() returns it
+     *
+     * @param {string|Buffer} key
+     */
+    seek(key) {
+        this._checkOpen();
+        key = this._encodeKey(key);
+
+        const entry = this.reverse ? this._atOrBefore(key) : this._atOrAfter(key);
+        if (entry === null) {
+            this._state = 'end';
+            this._entry = null;
+        } else {
+            this._state = 'before';
+            this._entry = entry;
+        }
+    }
+
+    /**
+     * READ AHEAD without blocking: load the SSTable blocks the next
+     * next() / prev() / seek(key) will read into the block cache
+     *
+     * The iterator itself reads synchronously; the promises API awaits
+     * this before every move, so those reads become cache hits. (A move
+     * that skips more than a block of deleted or hidden versions still
+     * reads the rest synchronously.)
+     *
+     * @param {string} move - 'next', 'prev' or 'seek'
+     * @param {string|Buffer} key - The key to seek to
+     * @returns {Promise}
+     */
+    prefetch(move, key) {
+        this._checkOpen();
+
+        // Is the move walking towards smaller keys?
+        const down = move === 'seek' ? this.reverse : (move === 'prev') !== this.reverse;
+
+        let target = {};
+        if (move === 'seek') {
+            target = { key: this._encodeKey(key) };
+        } else if (this._state === (move === 'next' ? 'start' : 'end')) {
+            // Starting from one end of the bounds
+            const bound = down
+                ? (this.lte !== undefined ? this.lte : this.lt)
+                : (this.gte !== undefined ? this.gte : this.gt);
+            target = bound !== undefined ? { key: bound } : down ? { last: true } : { first: true };
+        } else if (this._entry !== null && this._mergedDirection !== (down ? 'reverse' : 'forward')) {
+            // Turning around re-seeks every source at the current entry
+            target = { key: this._entry.key };
+        }
+
+        const cursors = this.merged.children.filter(child => child.prefetch !== undefined);
+        return Promise.all(cursors.map(cursor => cursor.prefetch(target, down)));
+    }
+
+    /**
+     * CLOSE - Done scanning; releases the SSTables the scan was pinning
+     */
+    close() {
+        if (!this.closed) {
+            this.closed = true;
+            if (this.onClose) {
+                this.onClose();
+            }
+        }
+    }
+
+    /**
+     * ITERATE remaining entries with for...of (closes when done)
+     */
+    *[Symbol.iterator]() {
+        try {
+            let entry;
+            while ((entry = this.next()) !== undefined) {
+                yield entry;
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    /**
+     * ITERATE remaining entries with for await...of (closes when done)
+     */
+    async *[Symbol.asyncIterator]() {
+        yield* this[Symbol.iterator]();
+    }
+
+    // ------------------------------------------------------------------------
+    // Key-order primitives. Each returns { key, value } or null.
+    // ------------------------------------------------------------------------
+
+    /**
+     * Smallest key inside the bounds
+     * @private
+     */
+    _first() {
+        if (this.gte !== undefined) {
+            this.merged.seek(this.gte);
+        } else if (this.gt !== undefined) {
+            this.merged.seekPast(this.gt);
+        } else {
+            this.merged.seekToFirst();
+        }
+        return this._findNext(null);
+    }
+
+    /**
+     * Largest key inside the bounds
+     * @private
+     */
+    _last() {
+        if (this.lte !== undefined) {
+            this.merged.seekForPrev(this.lte, true);
+        } else if (this.lt !== undefined) {
+            this.merged.seekForPrev(this.lt, false);
+        } else {
+            this.merged.seekToLast();
+        }
+        return this._findPrev();
+    }
+
+    /**
+     * Smallest key > key
+     * @private
+     */
+    _after(key) {
+        if (this._mergedDirection === 'forward' && this._sameKey(this._mergedKey, key)) {
+            // Already on key - step over its remaining (older) versions
+            this.merged.next();
+            return this._findNext(key);
+        }
+        this.merged.seekPast(key);
+        return this._findNext(null);
+    }
+
+    /**
+     * Largest key < key
+     * @private
+     */
+    _before(key) {
+        if (this._mergedDirection === 'reverse' && this._sameKey(this._mergedKey, key)) {
+            // Already just before key's versions
+            return this._findPrev();
+        }
+        this.merged.seekForPrev(key, false);
+        return this._findPrev();
+    }
+
+    /**
+     * Smallest key >= key (and inside the bounds)
+     * @private
+     */
+    _atOrAfter(key) {
+        if (this._belowLower(key)) {
+            return this._first();
+        }
+        this.merged.seek(key);
+        return this._findNext(null);
+    }
+
+    /**
+     * Largest key <= key (and inside the bounds)
+     * @private
+     */
+    _atOrBefore(key) {
+        if (this._aboveUpper(key)) {
+            return this._last();
+        }
+        this.merged.seekForPrev(key, true);
+        return this._findPrev();
+    }
+
+    /**
+     * WALK FORWARD to the next visible, live key
+     *
+     * @param {string|null} skipKey - A key already dealt with; its older
+     *                                versions must not show through
+     * @private
+     */
+    _findNext(skipKey) {
+        this._mergedDirection = 'forward';
+        this._mergedKey = null;
+
+        while (this.merged.valid()) {
+            const { key, type, value, seq, expiresAt } = this._current();
+
+            if (this._aboveUpper(key)) {
+                return null;
+            }
+
+            // Newer than our read sequence, or an older version of a key
+            // we've already decided about → ignore
+            if (seq <= this.sequence && !this._sameKey(key, skipKey)) {
+                if (type === VALUE_TYPE.MERGE) {
+                    return this._mergeForward(key);
+                }
+                if (this._isLive(type, expiresAt)) {
+                    this._mergedKey = key;
+                    return { key, value };
+                }
+                // Deleted or expired: hide every older version too
+                skipKey = key;
+            }
+
+            this.merged.next();
+        }
+
+        return null;
+    }
+
+    /**
+     * COMBINE the merge operand under the merged stream with the older
+     * versions of its key (walking forward over them)
+     *
+     * @returns {object} { key, value } - a merge always gives a value
+     * @private
+     */
+    _mergeForward(key) {
+        const operands = [];
+        let base;
+        while (this.merged.valid() && this._sameKey(this.merged.current.key, key)) {
+            const entry = this._current();
+            if (entry.seq <= this.sequence) {
+                if (entry.type !== VALUE_TYPE.MERGE) {
+                    base = entry;
+                    break;
+                }
+                operands.push(entry);
+            }
+            this.merged.next();
+        }
+
+        // Still on one of key's versions, or already past them
+        this._mergedKey = this.merged.valid() && this._sameKey(this.merged.current.key, key) ? key : null;
+        return this._combine(key, base, operands);
+    }
+
+    /**
+     * WALK BACKWARD to the previous visible, live key
+     *
+     * Backwards, the versions of a key arrive OLDEST first, so we keep
+     * overwriting our candidate until the key changes - the last visible
+     * version we saw is the newest one. Merge operands pile up on top of
+     * it instead.
+     *
+     * @private
+     */
+    _findPrev() {
+        this._mergedDirection = 'reverse';
+        this._mergedKey = null;
+
+        // { key, base, operands } - operands newest first
+        let found = null;
+
+        while (this.merged.valid()) {
+            const entry = this._current();
+
+            if (entry.seq <= this.sequence) {
+                const sameKey = found !== null && this._sameKey(entry.key, found.key);
+                // Moved on to a smaller key and we already have a live one
+                if (found !== null && !sameKey && this._isFoundLive(found)) {
+                    break;
+                }
+                if (this._belowLower(entry.key)) {
+                    break;
+                }
+                if (entry.type === VALUE_TYPE.MERGE) {
+                    if (!sameKey) {
+                        found = { key: entry.key, base: undefined, operands: [] };
+                    }
+                    found.operands.unshift(entry);
+                } else {
+                    found = { key: entry.key, base: entry, operands: [] };
+                }
+            }
+
+            this.merged.prev();
+        }
+
+        if (found === null || !this._isFoundLive(found)) {
+            return null;
+        }
+
+        this._mergedKey = found.key;
+        return this._combine(found.key, found.base, found.operands);
+    }
+
+    /**
+     * The version under the merged stream - as a deletion if a range
+     * tombstone we can see covers it
+     * @private
+     */
+    _current() {
+        const entry = this.merged.current;
+        if (this.rangeDeletions.length > 0 && entry.seq < coveringSeq(this.rangeDeletions, entry.key, this.sequence, this.compare)) {
+            return { ...entry, type: VALUE_TYPE.DELETION, value: undefined };
+        }
+        return entry;
+    }
+
+    /**
+     * Does a key found by _findPrev() have a value?
+     * @private
+     */
+    _isFoundLive({ base, operands }) {
+        return operands.length > 0 || (base !== undefined && this._isLive(base.type, base.expiresAt));
+    }
+
+    /**
+     * The { key, value } of a key: its newest value or deletion (base)
+     * with the merge operands above it, newest first
+     * @private
+     */
+    _combine(key, base, operands) {
+        if (base !== undefined && !this._isLive(base.type, base.expiresAt)) {
+            base = undefined;
+        }
+        const entry = operands.length === 0 ? base : applyMerges(this.mergeOperator, key, base, operands);
+        return { key, value: entry.value };
+    }
+
+    /**
+     * Is a version a live value (not a deletion, not expired)?
+     * @private
+     */
+    _isLive(type, expiresAt) {
+        return type !== VALUE_TYPE.DELETION && !isExpired(expiresAt, this.now);
+    }
+
+    /**
+     * Are both keys the same key? (null is no key)
+     * @private
+     */
+    _sameKey(a, b) {
+        return a !== null && b !== null && this.compare(a, b) === 0;
+    }
+
+    /**
+     * A user's key → the stored key (undefined stays undefined)
+     * @private
+     */
+    _encodeKey(key) {
+        return key === undefined || this.keyEncoding === null ? key : encodeKey(this.keyEncoding, key);
+    }
+
+    /**
+     * A stored entry → the { key, value } the user gets
+     * @private
+     */
+    _output(entry) {
+        return {
+            key: this.keyEncoding === null ? entry.key : decodeKey(this.keyEncoding, entry.key),
+            value: this.valueEncoding === null ? entry.value : decodeValue(this.valueEncoding, entry.value),
+        };
+    }
+
+    /**
+     * @private
+     */
+    _belowLower(key) {
+        return (this.gte !== undefined && this.compare(key, this.gte) < 0) ||
+            (this.gt !== undefined && this.compare(key, this.gt) <= 0);
+    }
+
+    /**
+     * @private
+     */
+    _aboveUpper(key) {
+        return (this.lte !== undefined && this.compare(key, this.lte) > 0) ||
+            (this.lt !== undefined && this.compare(key, this.lt) >= 0);
+    }
+
+    /**
+     * @private
+     */
+    _checkOpen() {
+        if (this.closed) {
+            throw new Error('Iterator is closed');
+        }
+    }
+}
+
+module.exports = { DBIterator };
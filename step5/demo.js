@@ -17,146 +17,191 @@ const { LSMTree } = require('./lsm-tree');
 
 const dataDir = './kv-demo-data';
 
-console.log('🚀 Complete KV Database Engine Demo\n');
-console.log('='.repeat(60));
-console.log('This demo shows all 5 components working together!');
-console.log('='.repeat(60));
-
-// Clean up from previous runs
-if (fs.existsSync(dataDir)) {
-    fs.rmSync(dataDir, { recursive: true });
-}
-
-// Create database with small settings for demo
-const db = new LSMTree(dataDir, {
-    memtableMaxSize: 2048, // 2KB (small for demo)
-    level0MaxFiles: 2,     // Compact after 2 files
-});
-
-// 1. BASIC OPERATIONS
-console.log('\n📝 1. Basic Operations');
-console.log('-'.repeat(40));
+async function main() {
+    console.log('🚀 Complete KV Database Engine Demo\n');
+    console.log('='.repeat(60));
+    console.log('This demo shows all 5 components working together!');
+    console.log('='.repeat(60));
+
+    // Clean up from previous runs
+    if (fs.existsSync(dataDir)) {
+        fs.rmSync(dataDir, { recursive: true });
+    }
 
-db.set('user:001', { name: 'Alice', role: 'admin' });
-db.set('user:002', { name: 'Bob', role: 'engineer' });
-db.set('user:003', { name: 'Charlie', role: 'designer' });
+    // Create database with small settings for demo
+    const db = new LSMTree(dataDir, {
+        memtableMaxSize: 2048,        // 2KB (small for demo)
+        level0MaxFiles: 2,            // Compact after 2 files
+        maxBytesForLevelBase: 4096,   // Level 1 holds 4KB, Level 2 40KB...
+        targetFileSize: 1024,         // ...in 1KB files
+    });
+
+    // 1. BASIC OPERATIONS
+    console.log('\n📝 1. Basic Operations');
+    console.log('-'.repeat(40));
+
+    db.set('user:001', { name: 'Alice', role: 'admin' });
+    db.set('user:002', { name: 'Bob', role: 'engineer' });
+    db.set('user:003', { name: 'Charlie', role: 'designer' });
+
+    console.log('Set 3 users');
+    console.log('get("user:001") =>', db.get('user:001'));
+    console.log('get("user:002") =>', db.get('user:002'));
+
+    // 2. BULK WRITES (triggers MemTable flush)
+    console.log('\n📝 2. Bulk Writes (triggering flush)');
+    console.log('-'.repeat(40));
+
+    console.log('Writing 50 entries to trigger MemTable flush...');
+    for (let i = 10; i < 60; i++) {
+        const key = `data:${String(i).padStart(4, '0')}`;
+        const value = { index: i, payload: 'x'.repeat(30) };
+        db.set(key, value);
+    }
 
-console.log('Set 3 users');
-console.log('get("user:001") =>', db.get('user:001'));
-console.log('get("user:002") =>', db.get('user:002'));
+    // Full MemTables are flushed by background jobs - wait for them
+    await db.waitForBackgroundWork();
+    console.log('\nAfter bulk writes:');
+    console.log(JSON.stringify(db.stats(), null, 2));
 
-// 2. BULK WRITES (triggers MemTable flush)
-console.log('\n📝 2. Bulk Writes (triggering flush)');
-console.log('-'.repeat(40));
+    // 3. RANGE QUERY
+    console.log('\n🎯 3. Range Query');
+    console.log('-'.repeat(40));
 
-console.log('Writing 50 entries to trigger MemTable flush...');
-for (let i = 10; i < 60; i++) {
-    const key = `data:${String(i).padStart(4, '0')}`;
-    const value = { index: i, payload: 'x'.repeat(30) };
-    db.set(key, value);
-}
+    const rangeResults = db.range('data:0015', 'data:0020');
+    console.log('range("data:0015", "data:0020"):');
+    for (const { key, value } of rangeResults) {
+        console.log(`  ${key} => index: ${value.index}`);
+    }
 
-console.log('\nAfter bulk writes:');
-console.log(JSON.stringify(db.stats(), null, 2));
+    // Iterators merge every level lazily - here: 3 keys below data:0020, walking down
+    const it = db.iterator({ lt: 'data:0020', reverse: true, limit: 3 });
+    console.log('iterator({ lt: "data:0020", reverse: true, limit: 3 }):');
+    for (const { key } of it) {
+        console.log(`  ${key}`);
+    }
 
-// 3. RANGE QUERY
-console.log('\n🎯 3. Range Query');
-console.log('-'.repeat(40));
+    // 4. DELETE AND TOMBSTONES
+    console.log('\n🗑️ 4. Delete and Tombstones');
+    console.log('-'.repeat(40));
 
-const rangeResults = db.range('data:0015', 'data:0020');
-console.log('range("data:0015", "data:0020"):');
-for (const { key, value } of rangeResults) {
-    console.log(`  ${key} => index: ${value.index}`);
-}
+    console.log('Before delete: get("user:002") =>', db.get('user:002'));
+    db.delete('user:002');
+    console.log('After delete: get("user:002") =>', db.get('user:002'));
 
-// 4. DELETE AND TOMBSTONES
-console.log('\n🗑️ 4. Delete and Tombstones');
-console.log('-'.repeat(40));
+    // 5. MORE WRITES (trigger compaction)
+    console.log('\n🔧 5. More Writes (triggering compaction)');
+    console.log('-'.repeat(40));
 
-console.log('Before delete: get("user:002") =>', db.get('user:002'));
-db.delete('user:002');
-console.log('After delete: get("user:002") =>', db.get('user:002'));
+    console.log('Writing more entries to trigger compaction...');
+    for (let i = 100; i < 150; i++) {
+        const key = `batch2:${String(i).padStart(4, '0')}`;
+        const value = { index: i, timestamp: Date.now() };
+        db.set(key, value);
+    }
 
-// 5. MORE WRITES (trigger compaction)
-console.log('\n🔧 5. More Writes (triggering compaction)');
-console.log('-'.repeat(40));
+    await db.waitForBackgroundWork();
+    console.log('\nAfter more writes:');
+    console.log(JSON.stringify(db.stats(), null, 2));
+
+    // 6. CRASH RECOVERY DEMO
+    console.log('\n💥 6. Crash Recovery Demo');
+    console.log('-'.repeat(40));
+
+    console.log('Adding some data before "crash"...');
+    db.set('important:001', { critical: 'data', value: 42 });
+    db.set('important:002', { critical: 'more data', value: 100 });
+
+    console.log('get("important:001") =>', db.get('important:001'));
+    console.log('get("important:002") =>', db.get('important:002'));
+
+    // "Crash" - close without waiting for background work
+    db.close();
+    console.log('\n💥 Simulating crash...\n');
+
+    // Recover
+    console.log('🔄 Recovering after crash...');
+    const db2 = new LSMTree(dataDir, {
+        memtableMaxSize: 2048,
+        level0MaxFiles: 2,
+        maxBytesForLevelBase: 4096,
+        targetFileSize: 1024,
+    });
+
+    console.log('\n🔍 Verifying recovery:');
+    console.log('get("user:001") =>', db2.get('user:001'));
+    console.log('get("user:002") =>', db2.get('user:002'), '(should be undefined - was deleted!)');
+    console.log('get("important:001") =>', db2.get('important:001'));
+    console.log('get("important:002") =>', db2.get('important:002'));
+
+    // 7. PROMISE API (for servers: disk I/O doesn't block the event loop)
+    console.log('\n⚡ 7. Promise API');
+    console.log('-'.repeat(40));
+
+    const asyncDb = db2.promises;
+    asyncDb.set('async:001', { via: 'promises' });   // queued in call order...
+    asyncDb.set('async:001', { via: 'promises', version: 2 });
+    console.log('await get("async:001") =>', await asyncDb.get('async:001')); // ...so this sees both
+    console.log('await get("user:001") =>', await asyncDb.get('user:001'));
+
+    // 8. BINARY VALUES & ENCODINGS (no hand-made base64)
+    console.log('\n🔢 8. Binary Values & Encodings');
+    console.log('-'.repeat(40));
+
+    const payload = Buffer.from([0x08, 0x96, 0x01, 0x12, 0x05]); // e.g. a protobuf message
+    await asyncDb.set('blob:001', payload);
+    console.log('await get("blob:001") =>', await asyncDb.get('blob:001'));
+    console.log('as hex text =>', await asyncDb.get('blob:001', {
+        valueEncoding: { format: 'buffer', encode: hex => Buffer.from(hex, 'hex'), decode: bytes => bytes.toString('hex') },
+    }));
+    await asyncDb.set(Buffer.from([0xff, 0x00]), 'binary key');
+    console.log('await get(<Buffer ff 00>) =>', await asyncDb.get(Buffer.from([0xff, 0x00])));
+
+    console.log('\n📊 Recovered database stats:');
+    console.log(JSON.stringify(db2.stats(), null, 2));
+
+    await asyncDb.close();
+    console.log('\n👋 LSM Tree closed');
+
+    // Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ Complete Demo Finished!\n');
+    console.log('📚 Your KV Database Engine includes:');
+    console.log('');
+    console.log('   Step 1: In-Memory Store');
+    console.log('           └── HashMap for O(1) operations');
+    console.log('');
+    console.log('   Step 2: Write-Ahead Log');
+    console.log('           └── Append-only log with fsync for durability');
+    console.log('');
+    console.log('   Step 3: MemTable');
+    console.log('           └── Skip List for O(log n) sorted operations');
+    console.log('');
+    console.log('   Step 4: SSTable');
+    console.log('           └── Sorted String Table with binary search on disk');
+    console.log('');
+    console.log('   Step 5: LSM Tree');
+    console.log('           └── Log-Structured Merge Tree with compaction');
+    console.log('');
+    console.log('🎉 Congratulations! You now understand how LevelDB works!\n');
+    console.log('='.repeat(60));
+
+    // Show files on disk
+    console.log('\n📁 Files created:');
+    if (fs.existsSync(dataDir)) {
+        const files = fs.readdirSync(dataDir);
+        for (const file of files) {
+            const stats = fs.statSync(`${dataDir}/${file}`);
+            console.log(`   ${file}: ${stats.size} bytes`);
+        }
+    }
 
-console.log('Writing more entries to trigger compaction...');
-for (let i = 100; i < 150; i++) {
-    const key = `batch2:${String(i).padStart(4, '0')}`;
-    const value = { index: i, timestamp: Date.now() };
-    db.set(key, value);
+    // Cleanup
+    fs.rmSync(dataDir, { recursive: true });
+    console.log('\n🧹 Demo data cleaned up.\n');
 }
 
-console.log('\nAfter more writes:');
-console.log(JSON.stringify(db.stats(), null, 2));
-
-// 6. CRASH RECOVERY DEMO
-console.log('\n💥 6. Crash Recovery Demo');
-console.log('-'.repeat(40));
-
-console.log('Adding some data before "crash"...');
-db.set('important:001', { critical: 'data', value: 42 });
-db.set('important:002', { critical: 'more data', value: 100 });
-
-console.log('get("important:001") =>', db.get('important:001'));
-console.log('get("important:002") =>', db.get('important:002'));
-
-// "Crash" - close without cleanup
-db.close();
-console.log('\n💥 Simulating crash...\n');
-
-// Recover
-console.log('🔄 Recovering after crash...');
-const db2 = new LSMTree(dataDir, {
-    memtableMaxSize: 2048,
-    level0MaxFiles: 2,
+main().catch((err) => {
+    console.error('❌ Demo failed:', err);
+    process.exit(1);
 });
-
-console.log('\n🔍 Verifying recovery:');
-console.log('get("user:001") =>', db2.get('user:001'));
-console.log('get("user:002") =>', db2.get('user:002'), '(should be undefined - was deleted!)');
-console.log('get("important:001") =>', db2.get('important:001'));
-console.log('get("important:002") =>', db2.get('important:002'));
-
-console.log('\n📊 Recovered database stats:');
-console.log(JSON.stringify(db2.stats(), null, 2));
-
-db2.close();
-
-// Summary
-console.log('\n' + '='.repeat(60));
-console.log('✅ Complete Demo Finished!\n');
-console.log('📚 Your KV Database Engine includes:');
-console.log('');
-console.log('   Step 1: In-Memory Store');
-console.log('           └── HashMap for O(1) operations');
-console.log('');
-console.log('   Step 2: Write-Ahead Log');
-console.log('           └── Append-only log with fsync for durability');
-console.log('');
-console.log('   Step 3: MemTable');
-console.log('           └── Skip List for O(log n) sorted operations');
-console.log('');
-console.log('   Step 4: SSTable');
-console.log('           └── Sorted String Table with binary search on disk');
-console.log('');
-console.log('   Step 5: LSM Tree');
-console.log('           └── Log-Structured Merge Tree with compaction');
-console.log('');
-console.log('🎉 Congratulations! You now understand how LevelDB works!\n');
-console.log('='.repeat(60));
-
-// Show files on disk
-console.log('\n📁 Files created:');
-if (fs.existsSync(dataDir)) {
-    const files = fs.readdirSync(dataDir);
-    for (const file of files) {
-        const stats = fs.statSync(`${dataDir}/${file}`);
-        console.log(`   ${file}: ${stats.size} bytes`);
-    }
-}
-
-// Cleanup
-fs.rmSync(dataDir, { recursive: true });
-console.log('\n🧹 Demo data cleaned up.\n');
@@ -0,0 +1,175 @@
+/**
+ * ============================================================================
+ * STEP 5: Encodings - Strings, JSON and Bytes
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how a store of bytes hands an application the types it
+ * actually works with - without the application base64-ing by hand.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. WHAT IS STORED
+ *    - keys:   strings or Buffers (both are bytes, see step3/comparator.js)
+ *    - values: Buffers (stored as raw bytes) or any JSON value
+ *
+ * 2. ENCODINGS
+ *    An encoding turns what the application passes in into what is stored,
+ *    and back. Pick one per database and override it per call:
+ *
+ *      const db = new LSMTree({ valueEncoding: 'binary' });
+ *      db.set('user:1', protoBytes);
+ *      db.get('user:1');                              // → <Buffer ...>
+ *      db.get('user:1', { valueEncoding: 'utf8' });   // → the bytes as text
+ *
+ *    ┌──────────┬──────────────────────────────┬──────────────────────────────┐
+ *    │ Encoding │ Keys                         │ Values                       │
+ *    ├──────────┼──────────────────────────────┼──────────────────────────────┤
+ *    │ 'utf8'   │ strings (default)            │ strings                      │
+ *    │ 'json'   │ JSON.stringify'd             │ any JSON value (default)     │
+ *    │ 'binary' │ Buffers                      │ Buffers                      │
+ *    └──────────┴──────────────────────────────┴──────────────────────────────┘
+ *
+ *    Buffers and Uint8Arrays are accepted as raw bytes under every
+ *    encoding, and stored copies are taken, so reusing a Buffer after a
+ *    write is safe.
+ *
+ * 3. CUSTOM ENCODINGS
+ *    { encode, decode, format } where format says what encode() returns
+ *    and decode() gets: 'buffer' (the default), 'utf8' (strings) or - for
+ *    values only - 'json' (JSON values):
+ *
+ *      const User = { name: 'protobuf.User', format: 'buffer',
+ *                     encode: user => UserProto.encode(user).finish(),
+ *                     decode: bytes => UserProto.decode(bytes) };
+ *      db.set('user:1', { name: 'Alice' }, { valueEncoding: User });
+ *
+ * 4. THE STORED FORM WINS
+ *    Nothing remembers which encoding wrote an entry. Reading converts
+ *    what is stored to the encoding's format: bytes written as 'binary'
+ *    and read as 'utf8' come back as text, a JSON object read as 'utf8'
+ *    comes back as its JSON text.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB only knows bytes (Slices). The encodings and their names
+ *    come from LevelUP / abstract-level (keyEncoding, valueEncoding,
+ *    'utf8' / 'json' / 'binary', custom encodings with a format).
+ */
+
+const { normalizeKey, keyToBuffer } = require('../step3/comparator');
+
+const identity = data => data;
+
+const BUILT_IN = {
+    key: {
+        utf8: { name: 'utf8', format: 'utf8', encode: identity, decode: identity },
+        json: { name: 'json', format: 'utf8', encode: JSON.stringify, decode: JSON.parse },
+        binary: { name: 'binary', format: 'buffer', encode: identity, decode: identity },
+    },
+    value: {
+        utf8: { name: 'utf8', format: 'utf8', encode: identity, decode: identity },
+        json: { name: 'json', format: 'json', encode: identity, decode: identity },
+        binary: { name: 'binary', format: 'buffer', encode: identity, decode: identity },
+    },
+};
+
+/**
+ * CHECK AN ENCODING passed in as an option
+ *
+ * @param {string|object} encoding - 'utf8', 'json', 'binary' or
+ *                                   { encode, decode, format?, name? }
+ * @param {string} kind - 'key' or 'value'
+ * @returns {object} { name, format, encode, decode }
+ */
+function checkEncoding(encoding, kind) {
+    if (typeof encoding === 'string') {
+        if (!Object.hasOwn(BUILT_IN[kind], encoding)) {
+            throw new Error(`Unknown ${kind}Encoding "${encoding}" (expected 'utf8', 'json', 'binary' or an object)`);
+        }
+        return BUILT_IN[kind][encoding];
+    }
+
+    if (encoding === null || typeof encoding !== 'object' ||
+        typeof encoding.encode !== 'function' || typeof encoding.decode !== 'function') {
+        throw new Error(`A custom ${kind}Encoding must be { encode, decode, format? }`);
+    }
+    const format = encoding.format === undefined ? 'buffer' : encoding.format;
+    const formats = kind === 'key' ? ['utf8', 'buffer'] : ['utf8', 'buffer', 'json'];
+    if (!formats.includes(format)) {
+        throw new Error(`A custom ${kind}Encoding's format must be one of: ${formats.join(', ')}`);
+    }
+    return {
+        name: encoding.name === undefined ? 'custom' : encoding.name,
+        format,
+        encode: encoding.encode,
+        decode: encoding.decode,
+    };
+}
+
+/**
+ * ENCODE A KEY → the stored key (a string, or a Buffer if it isn't UTF-8)
+ *
+ * @param {object} encoding - From checkEncoding()
+ * @returns {string|Buffer}
+ */
+function encodeKey(encoding, key) {
+    const data = encoding.encode(key);
+    if (typeof data !== 'string' && !(data instanceof Uint8Array)) {
+        throw new Error(`Key must be a string or Buffer (keyEncoding "${encoding.name}")`);
+    }
+    return normalizeKey(data);
+}
+
+/**
+ * DECODE A STORED KEY
+ *
+ * @param {object} encoding - From checkEncoding()
+ * @param {string|Buffer} key
+ * @returns {any}
+ */
+function decodeKey(encoding, key) {
+    return encoding.decode(encoding.format === 'buffer'
+        ? keyToBuffer(key)
+        : typeof key === 'string' ? key : key.toString('utf8'));
+}
+
+/**
+ * ENCODE A VALUE → the stored value (a Buffer or a JSON value)
+ *
+ * @param {object} encoding - From checkEncoding()
+ * @returns {any}
+ */
+function encodeValue(encoding, value) {
+    const data = encoding.encode(value);
+    if (data instanceof Uint8Array) {
+        // Copy: the caller may reuse its buffer
+        return Buffer.from(data);
+    }
+    if (encoding.format === 'json') {
+        return data;
+    }
+    if (typeof data !== 'string') {
+        throw new Error(`Value must be a string or Buffer (valueEncoding "${encoding.name}")`);
+    }
+    return encoding.format === 'buffer' ? Buffer.from(data, 'utf8') : data;
+}
+
+/**
+ * DECODE A STORED VALUE
+ *
+ * @param {object} encoding - From checkEncoding()
+ * @param {any} value - A Buffer or a JSON value
+ * @returns {any}
+ */
+function decodeValue(encoding, value) {
+    if (encoding.format === 'json' || value === undefined) {
+        return encoding.decode(value);
+    }
+    const text = Buffer.isBuffer(value) ? null : typeof value === 'string' ? value : JSON.stringify(value);
+    if (encoding.format === 'buffer') {
+        return encoding.decode(text === null ? value : Buffer.from(text, 'utf8'));
+    }
+    return encoding.decode(text === null ? value.toString('utf8') : text);
+}
+
+module.exports = { checkEncoding, encodeKey, decodeKey, encodeValue, decodeValue };
@@ -28,12 +28,15 @@
  *    ├─────────────────────────────────────────────────────────┤
  *    │  Level 0: Up to 4 SSTables (may overlap!)               │
  *    ├─────────────────────────────────────────────────────────┤
- *    │  Level 1: Up to 10 SSTables (non-overlapping)           │
+ *    │  Level 1: Up to 10MB in 2MB files (non-overlapping)     │
  *    ├─────────────────────────────────────────────────────────┤
- *    │  Level 2: Up to 100 SSTables (non-overlapping)          │
+ *    │  Level 2: Up to 100MB in 2MB files (non-overlapping)    │
  *    ├─────────────────────────────────────────────────────────┤
- *    │  Level 3: Up to 1000 SSTables (non-overlapping)         │
+ *    │  Level 3: Up to 1GB in 2MB files (non-overlapping)      │
  *    └─────────────────────────────────────────────────────────┘
+ *    
+ *    Each level is levelSizeMultiplier (10) times bigger than the one
+ *    above, so ~90% of the data sits in the deepest level.
  * 
  * 3. READ PATH
  *    To find a key:
@@ -42,39 +45,205 @@
  *    3. Check Level 1, 2, 3... (each level has non-overlapping keys)
  *    
  *    Stop at first match! Newer data always wins.
+ *    
+ *    SSTables stay open between reads, at most maxOpenFiles at once (the
+ *    table cache, step4/table-cache.js) - a scan over many Level 0 files
+ *    would otherwise spend its time opening and closing them.
+ *    
+ *    Every sorted piece - MemTables, SSTables, merges, level file ranges -
+ *    uses the SAME key order: the `comparator` option (bytewise UTF-8 by
+ *    default, see step3/comparator.js). SSTables record its name, so
+ *    reopening the database with another comparator is refused.
  * 
  * 4. COMPACTION - The Heart of LSM Trees
- *    When a level gets too full:
- *    1. Pick SSTables to compact
- *    2. Merge them together (like merge sort!)
- *    3. Write to next level
- *    4. Delete old SSTables
+ *    When a level gets too full (L0: too many files, L1+: too many bytes):
+ *    1. Pick SSTables to compact - all of L0, or ONE file of a deeper level
+ *    2. Add only the files of the next level whose key ranges overlap them
+ *    3. Merge them together (like merge sort!)
+ *    4. Write to next level, cut into ~2MB non-overlapping files
+ *    5. Delete old SSTables
+ *    6. Repeat while any level is over its target (the cascade)
+ *    
+ *    Level 1 [a-f][g-m][n-s][t-z]       compact [h-p] from Level 0:
+ *                 ~~~~~ ~~~~~           only [g-m] and [n-s] are rewritten
+ *    
+ *    Rewriting a few overlapping files (not the whole level) keeps write
+ *    amplification at ~multiplier per level, however big the database.
+ *    
+ *    TIERED (compactionStyle: 'tiered') trades the other way: every flush
+ *    becomes a sorted run in Level 0, and runs of similar size are merged
+ *    into one bigger run. Each byte is rewritten far fewer times, but a
+ *    lookup may check up to maxSortedRuns runs, and the space used by
+ *    old versions lingers until a merge includes the oldest run.
+ *    
+ *    ┌──────────┬────────────────┬─────────────────┬─────────────────┐
+ *    │ style    │ write amp.     │ read amp.       │ space amp.      │
+ *    ├──────────┼────────────────┼─────────────────┼─────────────────┤
+ *    │ leveled  │ high (~10/lvl) │ low (1 file/lvl)│ low (~1.1×)     │
+ *    │ tiered   │ low            │ up to #runs     │ up to ~2-3×     │
+ *    └──────────┴────────────────┴─────────────────┴─────────────────┘
  *    
  *    This is how we:
  *    - Remove tombstones (actually delete data)
  *    - Merge duplicate keys (keep newest only)
  *    - Maintain sorted, non-overlapping structure
+ *    - Drop or rewrite entries for the application (the compactionFilter
+ *      option, see compaction-filter.js)
+ * 
+ * 5. SEQUENCE NUMBERS & SNAPSHOTS
+ *    Every write gets a sequence number, and old versions are kept while a
+ *    snapshot might still read them (see snapshot.js):
+ *    
+ *    const snap = db.getSnapshot();
+ *    db.set('a', 2);
+ *    db.get('a', { snapshot: snap });   // still the old value
+ *    db.releaseSnapshot(snap);
+ * 
+ * 6. ITERATORS
+ *    db.iterator() merges the MemTable and every SSTable on the fly
+ *    (see merging-iterator.js and db-iterator.js):
+ *    
+ *    for (const { key, value } of db.iterator({ gte: 'a', lt: 'b' })) { ... }
+ *    
+ *    An open iterator pins the SSTables it reads, so a compaction that
+ *    runs meanwhile deletes them only once the iterator is closed.
+ * 
+ * 7. BACKGROUND FLUSH & COMPACTION
+ *    A full MemTable doesn't make the write that filled it wait:
+ *    
+ *    set() → MemTable full → becomes IMMUTABLE (still readable)
+ *                          → fresh MemTable + fresh WAL segment take writes
+ *                          → a background job flushes it, then compacts
+ *    
+ *    Up to maxBackgroundJobs flushes/compactions run at once, one small
+ *    step per turn of the event loop (see background-jobs.js). Two
+ *    compactions never touch the same SSTables. await
+ *    db.waitForBackgroundWork() to know everything has settled.
+ * 
+ * 8. WRITE STALLS (back-pressure)
+ *    Background work lets writers outrun compaction: Level 0 piles up
+ *    and every lookup gets slower. So writes are held back on purpose:
+ *    
+ *    ┌──────────────────────────┬───────────────────────┬───────────────────────┐
+ *    │ Condition                │ Slowdown at           │ Stop at               │
+ *    ├──────────────────────────┼───────────────────────┼───────────────────────┤
+ *    │ Level 0 files            │ level0SlowdownTrigger │ level0StopTrigger     │
+ *    │ Pending compaction bytes │ soft...BytesLimit     │ hard...BytesLimit     │
+ *    │ Immutable MemTables      │ -                     │ maxImmutableMemtables │
+ *    └──────────────────────────┴───────────────────────┴───────────────────────┘
+ *    
+ *    "Pending compaction bytes" estimates how much compaction must
+ *    rewrite to bring every level back under its target.
+ *    
+ *    A synchronous write can't sleep (the background work runs on the
+ *    same thread), so it HELPS instead: on slowdown it runs one step of
+ *    background work first, on stop it runs background work until the
+ *    stall is over. Async writers `await db.whenWritable()`: a short
+ *    delay on slowdown, a wait on stop. Every stall emits a 'stall'
+ *    event with its reason, and 'stallCleared' when writes flow again.
+ * 
+ * 9. KEYS, VALUES AND ENCODINGS
+ *    Keys are strings or Buffers, values Buffers or JSON values - all the
+ *    way through the WAL, MemTables and SSTables. keyEncoding and
+ *    valueEncoding ('utf8', 'json', 'binary' or custom, see encodings.js)
+ *    convert between those and what the application works with:
+ *    
+ *    const db = new LSMTree('./data', { valueEncoding: 'binary' });
+ *    db.set('user:1', UserProto.encode(user).finish());   // no base64
+ *    db.get('user:1');                                     // → <Buffer ...>
+ * 
+ * 10. WAL SEGMENTS
+ *    Every MemTable has its own numbered WAL segment (000042.log, numbered
+ *    from the same counter as SSTables). When a MemTable is flushed:
+ *    
+ *    1. write its SSTable
+ *    2. log a MANIFEST edit: new file + logNumber = oldest segment still
+ *       needed (the next MemTable's)      ← commit point
+ *    3. delete the segments below logNumber
+ *    
+ *    Recovery replays only segments >= logNumber, oldest first, and
+ *    flushes what they held right away. A crash after 2 leaves flushed
+ *    segments behind, but they are never replayed - replaying them could
+ *    bring back a value whose deletion was already compacted away.
+ * 
+ * 11. EXPIRING KEYS (TTL)
+ *    db.set('session:42', data, { ttl: 60000 }) stores an expiry time with
+ *    the entry - in the WAL, the MemTable and the SSTable (see
+ *    step2/expiry.js). Reads hide expired entries right away; compaction
+ *    turns them into tombstones, which it drops like any other:
+ *    
+ *    session:42@9 (expired)  session:42@4   → session:42@9 (deletion)
+ *    
+ *    (A tombstone, not nothing: the older @4 must not show through.)
+ *    db.ttl(key) tells how long a key has left, db.expire(key, ms)
+ *    changes it.
+ * 
+ * 12. MERGE OPERANDS
+ *    With a mergeOperator, db.merge('views', 1) writes the CHANGE, not the
+ *    new value - no read first. get() and iterators add up the operands
+ *    over the value under them, compaction folds them into it (see
+ *    merge-operator.js):
+ *    
+ *    const db = new LSMTree('./data', { mergeOperator: 'add' });
+ *    db.merge('views', 1);
+ *    db.merge('views', 1);
+ *    db.get('views');   // → 2
+ * 
+ * 13. RANGE DELETIONS
+ *    db.deleteRange('tenant:42:', 'tenant:42;') deletes every key in the
+ *    range with ONE range tombstone - no scan, no tombstone per key. Reads
+ *    treat older versions under it as deleted, compaction drops them and
+ *    retires the tombstone once nothing older is left below it (see
+ *    range-deletion.js).
  * 
  * 🔗 HOW THIS RELATES TO LEVELDB:
  *    This IS LevelDB's architecture!
  *    - "LevelDB" is named after these "levels"
- *    - RocksDB adds more tuning options
- *    - Cassandra uses similar "Tiered" or "Leveled" compaction
+ *    - RocksDB adds more tuning options (the write stall triggers
+ *      above use its names)
+ *    - Cassandra uses similar "Tiered" or "Leveled" compaction; our tiered
+ *      style follows RocksDB's Universal Compaction
  */
 
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { MemTable } = require('../step3/memtable');
+const { checkComparator } = require('../step3/comparator');
 const { SSTableWriter } = require('../step4/sstable-writer');
-const { SSTableReader, TOMBSTONE } = require('../step4/sstable-reader');
+const { SSTableReader, CorruptionError } = require('../step4/sstable-reader');
+const { BlockCache } = require('../step4/block-cache');
+const { TableCache } = require('../step4/table-cache');
+const { checkCompression } = require('../step4/compression');
+const { runReadsSync } = require('../step4/read-io');
 const { WriteAheadLog } = require('../step2/wal');
+const { WriteBatch } = require('../step2/write-batch');
+const { VALUE_TYPE } = require('../step2/value-type');
+const { expiryFor, isExpired, remainingTtl } = require('../step2/expiry');
+const { Manifest, tableFileName, logFileName, syncDirectory } = require('./manifest');
+const { SnapshotList } = require('./snapshot');
+const { MergingIterator } = require('./merging-iterator');
+const { DBIterator } = require('./db-iterator');
+const { checkEncoding, encodeKey, encodeValue, decodeValue } = require('./encodings');
+const { BackgroundJobs } = require('./background-jobs');
+const { CompactionFilter } = require('./compaction-filter');
+const { MergeOperator, applyMerges } = require('./merge-operator');
+const { covers, coveringSeq } = require('./range-deletion');
+const { AsyncLSMTree } = require('./async-lsm-tree');
+
+// A compaction yields to the event loop after this many keys
+const COMPACTION_STEP_KEYS = 1000;
+
+// How long whenWritable() holds back a write during a slowdown
+const SLOWDOWN_DELAY_MS = 1;
 
-class LSMTree {
+class LSMTree extends EventEmitter {
     /**
      * @param {string} dataDir - Directory for all data files
      * @param {object} options - Configuration options
      */
     constructor(dataDir, options = {}) {
+        super();
         this.dataDir = dataDir;
 
         // Configuration (LevelDB-like defaults)
@@ -83,14 +252,101 @@ class LSMTree {
         this.levelSizeMultiplier = options.levelSizeMultiplier || 10;
         this.maxLevels = options.maxLevels || 7;
 
+        // Level 1 may hold maxBytesForLevelBase bytes, each deeper level
+        // levelSizeMultiplier times more; compaction output is cut into
+        // files of ~targetFileSize (uncompressed) bytes
+        this.maxBytesForLevelBase = options.maxBytesForLevelBase || 10 * 1024 * 1024; // 10MB
+        this.targetFileSize = options.targetFileSize || 2 * 1024 * 1024; // 2MB
+
+        // Key order of the whole database (must never change for its files)
+        this.comparator = checkComparator(options.comparator);
+        this.compare = this.comparator.compare;
+
+        // How keys and values are passed in and handed back (see
+        // encodings.js); every read and write can override them
+        this.keyEncoding = checkEncoding(options.keyEncoding || 'utf8', 'key');
+        this.valueEncoding = checkEncoding(options.valueEncoding || 'json', 'value');
+
+        // 'leveled' (default): fewer files to read, data rewritten ~once per level
+        // 'tiered': every flush is a sorted run in Level 0, and similar-sized
+        // runs are merged together - data is rewritten far less often, but
+        // a lookup may have to check every run (see _pickTieredCompaction)
+        this.compactionStyle = options.compactionStyle || 'leveled';
+        if (this.compactionStyle !== 'leveled' && this.compactionStyle !== 'tiered') {
+            throw new Error(`Unknown compaction style: ${this.compactionStyle}`);
+        }
+        this.maxSortedRuns = options.maxSortedRuns || 8;
+        this.sizeRatio = options.sizeRatio || 1.5;
+        this.maxSizeAmplification = options.maxSizeAmplification || 2;
+
+        // Combines merge() operands with the value under them
+        // (see merge-operator.js)
+        this.mergeOperator = options.mergeOperator === undefined ? null
+            : new MergeOperator(options.mergeOperator, { keyEncoding: this.keyEncoding, valueEncoding: this.valueEncoding });
+
+        // Drops or rewrites entries while compaction copies them
+        // (see compaction-filter.js)
+        this.compactionFilter = options.compactionFilter === undefined ? null
+            : new CompactionFilter(options.compactionFilter, { keyEncoding: this.keyEncoding, valueEncoding: this.valueEncoding });
+
+        // Flushes and compactions running at once in the background
+        // (0 = do them inside the write that triggers them, like before)
+        this.maxBackgroundJobs = options.maxBackgroundJobs !== undefined ? options.maxBackgroundJobs : 2;
+
+        // Write stalls (0 disables a trigger). Level 0 triggers count from
+        // where compaction starts: level0MaxFiles, or maxSortedRuns if tiered
+        const compactionTrigger = this.compactionStyle === 'tiered' ? this.maxSortedRuns : this.level0MaxFiles;
+        const option = (name, fallback) => options[name] !== undefined ? options[name] : fallback;
+        this.level0SlowdownTrigger = option('level0SlowdownTrigger', compactionTrigger * 2);
+        this.level0StopTrigger = option('level0StopTrigger', compactionTrigger * 3);
+        this.softPendingCompactionBytesLimit = option('softPendingCompactionBytesLimit', this.maxBytesForLevelBase * 16);
+        this.hardPendingCompactionBytesLimit = option('hardPendingCompactionBytesLimit', this.maxBytesForLevelBase * 64);
+        this.maxImmutableMemtables = option('maxImmutableMemtables', 4);
+
+        // Bloom filter bits per key in every SSTable (0 disables filters)
+        this.bloomBitsPerKey = options.bloomBitsPerKey !== undefined ? options.bloomBitsPerKey : 10;
+
+        // Block compression: one codec for the database, optionally
+        // overridden per level (e.g. ['none', 'none', 'deflate'] keeps the
+        // hot, short-lived L0/L1 files uncompressed)
+        this.compression = checkCompression(options.compression || 'none');
+        this.compressionPerLevel = (options.compressionPerLevel || []).map(checkCompression);
+        this.minCompressionSavings = options.minCompressionSavings;
+
+        // Block cache: pass one in to share it between databases,
+        // otherwise each tree gets its own (blockCacheSize bytes, default 8MB)
+        this.blockCache = options.blockCache || new BlockCache(options.blockCacheSize);
+        this.blockCacheId = this.blockCache.newId();
+        this.pinIndexAndFilterBlocks = options.pinIndexAndFilterBlocks !== false;
+
+        // Table cache: SSTable files kept open, least recently used closed
+        // first (default 1000 - stay below the process's open file limit)
+        this.maxOpenFiles = options.maxOpenFiles || 1000;
+        this.tableCache = new TableCache(this.maxOpenFiles);
+
+        // WAL options (see step2/log-format.js for recovery modes, and
+        // step2/wal.js for sync policies). Only 'always' makes set() and
+        // co. durable before they return: with 'group' the durable
+        // acknowledgement comes from db.promises (or await db.sync())
+        this.walOptions = {
+            recoveryMode: options.walRecoveryMode || 'tolerate-tail',
+            syncPolicy: options.walSyncPolicy || 'always',
+            syncIntervalMs: options.walSyncIntervalMs,
+        };
+
         // Create directories
         if (!fs.existsSync(dataDir)) {
             fs.mkdirSync(dataDir, { recursive: true });
         }
 
-        // Initialize components
-        this.wal = new WriteAheadLog(path.join(dataDir, 'wal.log'));
-        this.memtable = new MemTable(this.memtableMaxSize);
+        // Initialize components. Each MemTable has its own WAL segment(s),
+        // deleted once the MemTable is safely on disk
+        this.wal = null; // opened by _recover()
+        this.memtable = new MemTable(this.memtableMaxSize, this.comparator);
+        this._walLogs = []; // { number, logPath } of the segments holding its writes
+
+        // Full MemTables waiting to be flushed, oldest first: { memtable, logs }
+        this.immutables = [];
 
         // Track SSTables per level
         // levels[0] = array of Level 0 SSTables (may overlap)
@@ -101,8 +357,47 @@ class LSMTree {
             this.levels.push([]);
         }
 
-        // SSTable counter for unique filenames
-        this.sstableCounter = 0;
+        // MANIFEST: the durable record of which SSTables are live
+        // (also hands out file numbers for new SSTables)
+        this.manifest = new Manifest(dataDir, this.maxLevels);
+
+        // Last sequence number handed out (every write gets the next one)
+        this.lastSequence = 0;
+
+        // Live snapshots - compaction keeps the versions they can see
+        this.snapshots = new SnapshotList();
+
+        // SSTables pinned by open iterators: fileNumber → reference count.
+        // Compaction defers deleting these until the count drops to zero.
+        this._fileRefs = new Map();
+        this._obsoleteFiles = new Map(); // fileNumber → SSTableReader
+
+        // Per level: largest key of the last compaction, so the next one
+        // starts after it and compactions sweep the whole key space
+        this._compactPointers = [];
+
+        // Bytes written by flushes and by compactions (write amplification)
+        this._bytesFlushed = 0;
+        this._bytesCompacted = 0;
+
+        // Background flushes and compactions (see background-jobs.js).
+        // _compacting holds the SSTables a running compaction owns, so a
+        // second one never picks them.
+        this.background = new BackgroundJobs({
+            maxJobs: this.maxBackgroundJobs,
+            pickJob: () => this._pickJob(),
+        });
+        this._flushing = false;
+        this._compacting = new Set();
+
+        // Current write stall: { condition: 'normal' | 'slowdown' | 'stop', reason }
+        this.writeStall = { condition: 'normal', reason: null };
+        this._stallCounts = { slowdown: 0, stop: 0 };
+        this._stallWaiters = [];
+
+        // Promise-based API (see async-lsm-tree.js), created on first use
+        this._promises = null;
+        this._asyncWrites = 0; // queued or running
 
         // Recover from existing data
         this._recover();
@@ -116,22 +411,29 @@ class LSMTree {
      * Write path:
      * 1. Write to WAL (durability)
      * 2. Write to MemTable
-     * 3. If MemTable full, flush to Level 0
+     * 3. If MemTable full, queue it for a background flush to Level 0
+     * 
+     * @param {object} options - { ttl } in ms to make the key expire,
+     *                           { keyEncoding, valueEncoding } for this call
      */
-    set(key, value) {
-        if (typeof key !== 'string') {
-            throw new Error('Key must be a string');
-        }
+    set(key, value, options = {}) {
+        const encodings = this._encodings(options);
+        const storedKey = encodeKey(encodings.keyEncoding, key);
+        const storedValue = encodeValue(encodings.valueEncoding, value);
+        const expiresAt = expiryFor(options.ttl);
+        this._beginSyncWrite();
+
+        const seq = ++this.lastSequence;
 
         // 1. WAL first for durability
-        this.wal.logSet(key, value);
+        this._trackDurability(this.wal.logSet(storedKey, storedValue, seq, expiresAt));
 
         // 2. Write to MemTable
-        const shouldFlush = this.memtable.set(key, value);
+        const shouldFlush = this.memtable.set(storedKey, storedValue, seq, expiresAt);
 
         // 3. Flush if needed
         if (shouldFlush) {
-            this._flushMemtable();
+            this._freezeMemtable();
         }
 
         return value;
@@ -141,282 +443,1756 @@ class LSMTree {
      * DELETE a key
      * 
      * Writes a tombstone marker.
+     * 
+     * @param {object} options - { keyEncoding } for this call
      */
-    delete(key) {
-        this.wal.logDelete(key);
-        const shouldFlush = this.memtable.delete(key);
+    delete(key, options = {}) {
+        const storedKey = encodeKey(this._encodings(options).keyEncoding, key);
+        this._beginSyncWrite();
+        const seq = ++this.lastSequence;
+
+        this._trackDurability(this.wal.logDelete(storedKey, seq));
+        const shouldFlush = this.memtable.delete(storedKey, seq);
 
         if (shouldFlush) {
-            this._flushMemtable();
+            this._freezeMemtable();
         }
 
         return true;
     }
 
     /**
-     * GET a value
+     * MERGE an operand into a key's value - without reading it
      * 
-     * Read path (check in order, newest wins):
-     * 1. MemTable
-     * 2. Level 0 (newest to oldest, may have overlaps)
-     * 3. Level 1, 2, 3... (binary search, no overlaps)
+     * @param {string|Buffer} key
+     * @param {any} operand - e.g. 1 for the 'add' operator
+     * @param {object} options - { keyEncoding, valueEncoding } for this call
+     * 
+     * Same write path as set(), but the entry is a MERGE operand: reads
+     * and compaction combine it with the key's value using the
+     * mergeOperator option (see merge-operator.js).
      */
-    get(key) {
-        // 1. Check MemTable first (newest data)
-        const memValue = this.memtable.get(key);
-        if (memValue !== undefined) {
-            if (memValue === MemTable.TOMBSTONE) {
-                return undefined; // Key was deleted
-            }
-            return memValue;
+    merge(key, operand, options = {}) {
+        const { storedKey, storedOperand } = this._encodeMerge(key, operand, options);
+        this._beginSyncWrite();
+        const seq = ++this.lastSequence;
+
+        this._trackDurability(this.wal.logMerge(storedKey, storedOperand, seq));
+        const shouldFlush = this.memtable.merge(storedKey, storedOperand, seq);
+
+        if (shouldFlush) {
+            this._freezeMemtable();
         }
 
-        // 2. Check Level 0 (newest to oldest)
-        // Level 0 SSTables may have overlapping key ranges!
-        for (let i = this.levels[0].length - 1; i >= 0; i--) {
-            const sstable = this.levels[0][i];
-            const value = sstable.get(key);
-            if (value !== undefined) {
-                if (value === TOMBSTONE) {
-                    return undefined;
-                }
-                return value;
-            }
+        return operand;
+    }
+
+    /**
+     * ENCODE A MERGE's key and operand (checked by the merge operator)
+     * 
+     * @private
+     */
+    _encodeMerge(key, operand, options) {
+        if (this.mergeOperator === null) {
+            throw new Error('merge() needs a mergeOperator (an option of the database)');
         }
+        const { keyEncoding, valueEncoding } = this._encodings(options);
+        this.mergeOperator.checkOperand(operand);
+        return {
+            storedKey: encodeKey(keyEncoding, key),
+            storedOperand: encodeValue(valueEncoding, operand),
+        };
+    }
 
-        // 3. Check other levels (non-overlapping, so one file per level max)
-        for (let level = 1; level < this.maxLevels; level++) {
-            for (const sstable of this.levels[level]) {
-                // Quick range check (optimization)
-                const stats = sstable.stats();
-                if (key >= stats.minKey && key <= stats.maxKey) {
-                    const value = sstable.get(key);
-                    if (value !== undefined) {
-                        if (value === TOMBSTONE) {
-                            return undefined;
-                        }
-                        return value;
-                    }
-                }
-            }
+    /**
+     * DELETE RANGE - Delete every key in [startKey, endKey)
+     * 
+     * @param {string|Buffer} startKey - First key deleted
+     * @param {string|Buffer} endKey - First key NOT deleted
+     * @param {object} options - { keyEncoding } for this call
+     * 
+     * ONE range tombstone in the WAL and the MemTable, however many keys
+     * the range holds (see range-deletion.js). An empty range
+     * (startKey = endKey) writes nothing.
+     */
+    deleteRange(startKey, endKey, options = {}) {
+        const range = this._encodeRange(startKey, endKey, options);
+        if (range === null) {
+            return;
         }
+        this._beginSyncWrite();
+        const seq = ++this.lastSequence;
 
-        return undefined;
+        this._trackDurability(this.wal.logDeleteRange(range.start, range.end, seq));
+        const shouldFlush = this.memtable.deleteRange(range.start, range.end, seq);
+
+        if (shouldFlush) {
+            this._freezeMemtable();
+        }
     }
 
     /**
-     * RANGE QUERY
+     * ENCODE A RANGE's bounds
      * 
-     * Must merge results from all levels!
+     * @returns {object|null} { start, end }, or null for an empty range
+     * @throws {Error} startKey after endKey
+     * @private
      */
-    range(startKey, endKey) {
-        const results = new Map();
+    _encodeRange(startKey, endKey, options) {
+        const { keyEncoding } = this._encodings(options);
+        const start = encodeKey(keyEncoding, startKey);
+        const end = encodeKey(keyEncoding, endKey);
+        const order = this.compare(start, end);
+        if (order > 0) {
+            throw new Error(`deleteRange() start key ${startKey} comes after end key ${endKey}`);
+        }
+        return order === 0 ? null : { start, end };
+    }
 
-        // Collect from all levels (oldest to newest, so newer overwrites)
-        // Start from deepest level and work up
-        for (let level = this.maxLevels - 1; level >= 0; level--) {
-            for (const sstable of this.levels[level]) {
-                for (const { key, value } of sstable.range(startKey, endKey)) {
-                    results.set(key, value);
-                }
-            }
+    /**
+     * WRITE a batch of operations atomically
+     * 
+     * @param {WriteBatch} batch - See step2/write-batch.js
+     * @param {object} options - { keyEncoding, valueEncoding } for every
+     *                           operation that doesn't set its own
+     * 
+     * Same write path as set(), but the whole batch is ONE WAL record
+     * and is applied to the MemTable before anybody can read again.
+     * After a crash, recovery replays all of it or none of it.
+     */
+    write(batch, options = {}) {
+        if (batch.length === 0) {
+            return;
         }
+        batch = this._encodeBatch(batch, options);
+        this._beginSyncWrite();
+
+        // Operation i of the batch gets sequence number seq + i
+        const seq = this.lastSequence + 1;
+        this.lastSequence += batch.length;
+
+        // 1. One WAL record for the whole batch
+        this._trackDurability(this.wal.logBatch(batch, seq));
 
-        // MemTable last (newest)
-        for (const { key, value } of this.memtable.range(startKey, endKey)) {
-            results.set(key, value);
+        // 2. Apply every operation to the MemTable
+        const shouldFlush = this.memtable.write(batch, seq);
+
+        // 3. Flush if needed (never in the middle of a batch)
+        if (shouldFlush) {
+            this._freezeMemtable();
         }
+    }
+
+    /**
+     * ENCODINGS for a call: its own options, else the database's
+     * 
+     * @returns {object} { keyEncoding, valueEncoding } (checked)
+     * @private
+     */
+    _encodings(options) {
+        return {
+            keyEncoding: options.keyEncoding === undefined
+                ? this.keyEncoding : checkEncoding(options.keyEncoding, 'key'),
+            valueEncoding: options.valueEncoding === undefined
+                ? this.valueEncoding : checkEncoding(options.valueEncoding, 'value'),
+        };
+    }
 
-        // Filter out tombstones and sort
-        const output = [];
-        for (const [key, value] of results) {
-            if (value !== TOMBSTONE && value !== MemTable.TOMBSTONE) {
-                output.push({ key, value });
+    /**
+     * ENCODE A BATCH into a batch of stored keys and values, so an
+     * encoding error fails the whole batch before anything is logged
+     * 
+     * @private
+     */
+    _encodeBatch(batch, options) {
+        const encodings = this._encodings(options);
+        const encoded = new WriteBatch();
+        for (const op of batch) {
+            const { keyEncoding, valueEncoding } = op.options === undefined
+                ? encodings
+                : this._encodings({ ...options, ...op.options });
+            if (op.type === 'put') {
+                encoded.put(encodeKey(keyEncoding, op.key), encodeValue(valueEncoding, op.value));
+                if (op.expiresAt !== undefined) {
+                    // put() turned its ttl into an expiry time already - keep it
+                    encoded.operations[encoded.length - 1].expiresAt = op.expiresAt;
+                }
+            } else if (op.type === 'merge') {
+                const { storedKey, storedOperand } = this._encodeMerge(op.key, op.value, { ...options, ...op.options });
+                encoded.merge(storedKey, storedOperand);
+            } else if (op.type === 'deleteRange') {
+                const range = this._encodeRange(op.key, op.end, { ...options, ...op.options });
+                if (range !== null) {
+                    encoded.deleteRange(range.start, range.end);
+                }
+            } else {
+                encoded.delete(encodeKey(keyEncoding, op.key));
             }
         }
+        return encoded;
+    }
+
+    /**
+     * GET SNAPSHOT - Freeze the current state for reading
+     * 
+     * @returns {Snapshot} Pass as { snapshot } to get() / range()
+     * 
+     * Reads through the snapshot ignore every later write.
+     * Call releaseSnapshot() when done, or compaction can never drop
+     * the old versions the snapshot is holding on to.
+     */
+    getSnapshot() {
+        return this.snapshots.create(this.lastSequence);
+    }
 
-        return output.sort((a, b) => a.key.localeCompare(b.key));
+    /**
+     * RELEASE SNAPSHOT
+     * 
+     * @param {Snapshot} snapshot - From getSnapshot()
+     */
+    releaseSnapshot(snapshot) {
+        this.snapshots.release(snapshot);
     }
 
     /**
-     * FLUSH MEMTABLE TO LEVEL 0
+     * SEQUENCE NUMBER a read should use
      * 
-     * Called when MemTable is full.
      * @private
      */
-    _flushMemtable() {
-        console.log('\n💾 Flushing MemTable to Level 0...');
+    _readSequence(options) {
+        if (options.snapshot) {
+            if (options.snapshot.released) {
+                throw new Error('Cannot read from a released snapshot');
+            }
+            return options.snapshot.sequence;
+        }
+        return this.lastSequence;
+    }
 
-        // Create new SSTable
-        const sstablePath = path.join(
-            this.dataDir,
-            `level0_${this.sstableCounter++}.sst`
-        );
+    /**
+     * PROMISES - The same database with a promise-based API that doesn't
+     * block the event loop on disk I/O (see async-lsm-tree.js)
+     * 
+     *   const db = new LSMTree('./data').promises;
+     *   await db.set('user:1', { name: 'Alice' });
+     * 
+     * @returns {AsyncLSMTree}
+     */
+    get promises() {
+        if (this._promises === null) {
+            this._promises = new AsyncLSMTree(this);
+        }
+        return this._promises;
+    }
 
-        const writer = new SSTableWriter(sstablePath);
-        writer.write(this.memtable.entries());
+    /**
+     * SYNC - Wait until every write so far is durable
+     * 
+     * With walSyncPolicy 'group', 'interval' or 'none', set()/delete()
+     * return before their WAL record is fsynced. Await this to be sure.
+     * 
+     * @returns {Promise}
+     */
+    sync() {
+        return this.wal.sync();
+    }
 
-        // Add reader to Level 0
-        const reader = new SSTableReader(sstablePath);
-        this.levels[0].push(reader);
+    /**
+     * Group-commit promises from the sync API are not awaited by anyone.
+     * A failed fsync is sticky in the WAL (the next write throws), so the
+     * rejection is already surfaced - don't let it crash the process too.
+     * 
+     * @private
+     */
+    _trackDurability(durable) {
+        if (durable) {
+            durable.catch(() => {});
+        }
+    }
 
-        // Create new MemTable
-        this.memtable = new MemTable(this.memtableMaxSize);
+    /**
+     * GET a value
+     * 
+     * @param {string|Buffer} key
+     * @param {object} options - { snapshot } to read as of a snapshot,
+     *                           { keyEncoding, valueEncoding } for this call
+     * 
+     * Read path (check in order, newest wins):
+     * 1. MemTable, then MemTables waiting to be flushed (newest first)
+     * 2. Level 0 (newest to oldest, may have overlaps)
+     * 3. Level 1, 2, 3... (binary search, no overlaps)
+     * 
+     * Each layer only returns versions visible at the read sequence.
+     */
+    get(key, options = {}) {
+        const { keyEncoding, valueEncoding } = this._encodings(options);
+        const entry = runReadsSync(this._getSteps(encodeKey(keyEncoding, key), this._readSequence(options)));
+        return entry === undefined ? undefined : decodeValue(valueEncoding, entry.value);
+    }
 
-        // Clear WAL (MemTable data is now on disk)
-        this.wal.close();
-        fs.unlinkSync(path.join(this.dataDir, 'wal.log'));
-        this.wal = new WriteAheadLog(path.join(this.dataDir, 'wal.log'));
+    /**
+     * TTL - How long until a key expires
+     * 
+     * @param {string|Buffer} key
+     * @param {object} options - { snapshot, keyEncoding }
+     * @returns {number|undefined} Milliseconds left, Infinity if the key
+     *                             never expires, undefined if it doesn't exist
+     */
+    ttl(key, options = {}) {
+        const storedKey = encodeKey(this._encodings(options).keyEncoding, key);
+        const entry = runReadsSync(this._getSteps(storedKey, this._readSequence(options)));
+        return entry === undefined ? undefined : remainingTtl(entry.expiresAt);
+    }
 
-        // Check if compaction needed
-        if (this.levels[0].length >= this.level0MaxFiles) {
-            this._compactLevel(0);
+    /**
+     * EXPIRE - Make an existing key expire ms from now
+     * 
+     * Writes the current value again with the new expiry time (a new
+     * version, like set()).
+     * 
+     * @param {string|Buffer} key
+     * @param {number} ms - Time to live from now (Infinity: never expire)
+     * @param {object} options - { keyEncoding }
+     * @returns {boolean} false if there was no such key
+     */
+    expire(key, ms, options = {}) {
+        const storedKey = encodeKey(this._encodings(options).keyEncoding, key);
+        const expiresAt = expiryFor(ms);
+        this._beginSyncWrite();
+
+        const entry = runReadsSync(this._getSteps(storedKey, this.lastSequence));
+        if (entry === undefined) {
+            return false;
+        }
+
+        const seq = ++this.lastSequence;
+        this._trackDurability(this.wal.logSet(storedKey, entry.value, seq, expiresAt));
+        if (this.memtable.set(storedKey, entry.value, seq, expiresAt)) {
+            this._freezeMemtable();
         }
+        return true;
     }
 
     /**
-     * COMPACT A LEVEL
-     * 
-     * This is the key operation of LSM Trees!
-     * Merges SSTables from level N into level N+1.
+     * GET AS READ STEPS (see step4/read-io.js) - shared by get(), ttl()
+     * and the promises API
      * 
+     * @param {Array} levels - The SSTables to search (default: the current ones)
+     * @returns {object|undefined} The newest visible entry { value, expiresAt, ... },
+     *                             or undefined if it's deleted or expired
      * @private
      */
-    _compactLevel(level) {
-        console.log(`\n🔧 Compacting Level ${level}...`);
+    *_getSteps(key, seq, levels = this.levels) {
+        // Merge operands met on the way down, newest first - the search
+        // goes on until a value or a deletion is found under them
+        const operands = [];
 
-        if (level >= this.maxLevels - 1) {
-            console.log('   Already at max level, skipping');
-            return;
-        }
+        // A source's range tombstones hide its older versions of the key,
+        // and all of those further down
+        let deletedBelow = 0;
+        const take = (source, versions) => {
+            deletedBelow = Math.max(deletedBelow, coveringSeq(source.rangeDeletions, key, seq, this.compare));
+            return this._takeOperands(versions, operands, deletedBelow);
+        };
 
-        // Collect all entries from this level
-        const allEntries = new Map();
-        const oldSstables = [...this.levels[level]];
+        // 1. Check MemTables first (newest data)
+        const memtables = [this.memtable, ...this.immutables.map(imm => imm.memtable).reverse()];
+        for (const memtable of memtables) {
+            const base = take(memtable, memtable.versions(key, seq));
+            if (base !== null) {
+                return this._resolve(key, base, operands);
+            }
+        }
 
-        for (const sstable of oldSstables) {
-            for (const { key, value } of sstable) {
-                allEntries.set(key, value);
+        // 2. Check Level 0 (newest to oldest)
+        // Level 0 SSTables may have overlapping key ranges!
+        for (let i = levels[0].length - 1; i >= 0; i--) {
+            const sstable = levels[0][i];
+            const base = take(sstable, yield* sstable.versionsSteps(key, seq));
+            if (base !== null) {
+                return this._resolve(key, base, operands);
             }
         }
 
-        // Same for next level (we're merging into it)
-        const nextLevelOldSstables = [...this.levels[level + 1]];
-        for (const sstable of nextLevelOldSstables) {
-            for (const { key, value } of sstable) {
-                // Only add if not already present (current level is newer)
-                if (!allEntries.has(key)) {
-                    allEntries.set(key, value);
+        // 3. Check other levels (non-overlapping, so one file per level max)
+        for (let level = 1; level < this.maxLevels; level++) {
+            const sstable = this._findFile(level, key, levels);
+            if (sstable !== null) {
+                const base = take(sstable, yield* sstable.versionsSteps(key, seq));
+                if (base !== null) {
+                    return this._resolve(key, base, operands);
                 }
             }
         }
 
-        // Sort and filter tombstones at deepest level
-        const entries = [];
-        for (const [key, value] of allEntries) {
-            // At deepest level, we can actually remove tombstones
-            if (level + 1 === this.maxLevels - 1 && value === TOMBSTONE) {
-                continue;
+        return this._resolve(key, undefined, operands);
+    }
+
+    /**
+     * TAKE THE MERGE OPERANDS off the front of a key's versions
+     * 
+     * @param {Array} versions - Versions from one source, newest first
+     * @param {Array} operands - Collects the merge operands
+     * @param {number} deletedBelow - Versions older than this are under a
+     *                                range tombstone (0: none)
+     * @returns {object|null} The first value or deletion, null if none
+     * @private
+     */
+    _takeOperands(versions, operands, deletedBelow = 0) {
+        for (const version of versions) {
+            if (version.seq < deletedBelow) {
+                // Range-deleted: a deletion, as far as this read goes
+                return { key: version.key, type: VALUE_TYPE.DELETION, value: undefined, seq: deletedBelow };
             }
-            entries.push({ key, value });
+            if (version.type !== VALUE_TYPE.MERGE) {
+                return version;
+            }
+            operands.push(version);
         }
-        entries.sort((a, b) => a.key.localeCompare(b.key));
+        return null;
+    }
 
-        // Write new SSTable at next level
-        const sstablePath = path.join(
-            this.dataDir,
-            `level${level + 1}_${this.sstableCounter++}.sst`
-        );
+    /**
+     * WHAT A READ SEES: the newest value or deletion of a key (undefined
+     * if none) with the merge operands found above it
+     * 
+     * @returns {object|undefined} The live entry, or undefined
+     * @private
+     */
+    _resolve(key, base, operands) {
+        const live = base === undefined ? undefined : this._liveEntry(base);
+        return operands.length === 0 ? live : applyMerges(this.mergeOperator, key, live, operands);
+    }
 
-        if (entries.length > 0) {
-            const writer = new SSTableWriter(sstablePath);
-            writer.write(entries);
-            const reader = new SSTableReader(sstablePath);
-            this.levels[level + 1] = [reader];
-        } else {
-            this.levels[level + 1] = [];
+    /**
+     * The newest version of a key, unless it is a deletion or expired
+     * (both mean the key is gone - older versions must not show through)
+     * 
+     * @private
+     */
+    _liveEntry(entry) {
+        if (entry.type === VALUE_TYPE.DELETION || isExpired(entry.expiresAt)) {
+            return undefined;
         }
+        return entry;
+    }
 
-        // Clear old level
-        this.levels[level] = [];
+    /**
+     * RANGE QUERY
+     * 
+     * @param {string} startKey
+     * @param {string} endKey
+     * @param {object} options - { snapshot, keyEncoding, valueEncoding }
+     * @returns {Array} {key, value} for every live key in [startKey, endKey]
+     * 
+     * Convenience wrapper that collects an iterator into an array.
+     */
+    range(startKey, endKey, options = {}) {
+        return Array.from(this.iterator({
+            gte: startKey,
+            lte: endKey,
+            snapshot: options.snapshot,
+            keyEncoding: options.keyEncoding,
+            valueEncoding: options.valueEncoding,
+        }));
+    }
 
-        // Delete old SSTable files
-        for (const sstable of oldSstables) {
-            fs.unlinkSync(sstable.filePath);
-        }
-        for (const sstable of nextLevelOldSstables) {
-            fs.unlinkSync(sstable.filePath);
+    /**
+     * ITERATOR - Scan keys in order without loading them all
+     * 
+     * @param {object} options
+     * @param {string} options.gt / gte / lt / lte - Key bounds (optional)
+     * @param {boolean} options.reverse - Largest key first
+     * @param {number} options.limit - Max entries to return
+     * @param {Snapshot} options.snapshot - Read as of a snapshot
+     * @param {string|object} options.keyEncoding / valueEncoding - Override
+     *                                        the database's (bounds too)
+     * @returns {DBIterator} Supports seek(), next(), prev(), close(),
+     *                       for...of and for await...of
+     * 
+     * Without a snapshot, the iterator sees the state at the moment it was
+     * created. Sources are merged newest first: MemTables, Level 0 (newest
+     * to oldest), then Level 1, 2, 3...
+     */
+    iterator(options = {}) {
+        const sequence = this._readSequence(options);
+
+        const sstables = [...this.levels[0]].reverse();
+        for (let level = 1; level < this.maxLevels; level++) {
+            sstables.push(...this.levels[level]);
         }
 
-        console.log(`   Merged ${oldSstables.length + nextLevelOldSstables.length} files → 1 file at Level ${level + 1}`);
+        const memtables = [this.memtable, ...this.immutables.map(imm => imm.memtable).reverse()];
+        const children = [
+            ...memtables.map(memtable => memtable.iterator()),
+            ...sstables.map(sstable => sstable.iterator()),
+        ];
+        this._pinFiles(sstables);
+
+        return new DBIterator(new MergingIterator(children, this.comparator), {
+            ...options,
+            ...this._encodings(options),
+            comparator: this.comparator,
+            mergeOperator: this.mergeOperator,
+            rangeDeletions: [...memtables, ...sstables].flatMap(source => source.rangeDeletions),
+            sequence,
+            onClose: () => this._unpinFiles(sstables),
+        });
     }
 
     /**
-     * RECOVER FROM EXISTING DATA
+     * PIN SSTables so compaction doesn't delete them under an iterator
      * 
-     * On startup:
-     * 1. Scan for existing SSTable files
-     * 2. Replay WAL into MemTable
+     * @private
+     */
+    _pinFiles(sstables) {
+        for (const { fileNumber } of sstables) {
+            this._fileRefs.set(fileNumber, (this._fileRefs.get(fileNumber) || 0) + 1);
+        }
+    }
+
+    /**
+     * UNPIN SSTables, deleting any that compaction already replaced
      * 
      * @private
      */
-    _recover() {
-        // Find existing SSTables
-        if (fs.existsSync(this.dataDir)) {
-            const files = fs.readdirSync(this.dataDir);
-            for (const file of files) {
-                if (file.endsWith('.sst')) {
-                    const match = file.match(/level(\d+)_(\d+)\.sst/);
-                    if (match) {
-                        const level = parseInt(match[1]);
-                        const counter = parseInt(match[2]);
-
-                        const reader = new SSTableReader(path.join(this.dataDir, file));
-                        this.levels[level].push(reader);
-
-                        if (counter >= this.sstableCounter) {
-                            this.sstableCounter = counter + 1;
-                        }
-                    }
-                }
+    _unpinFiles(sstables) {
+        for (const { fileNumber } of sstables) {
+            const refs = this._fileRefs.get(fileNumber) - 1;
+            if (refs > 0) {
+                this._fileRefs.set(fileNumber, refs);
+                continue;
             }
-        }
 
-        // Replay WAL
-        const walData = this.wal.recover();
-        for (const [key, value] of walData) {
-            if (typeof value === 'symbol') {
-                this.memtable.delete(key);
-            } else {
-                this.memtable.set(key, value);
+            this._fileRefs.delete(fileNumber);
+            if (this._obsoleteFiles.has(fileNumber)) {
+                this._removeTable(this._obsoleteFiles.get(fileNumber));
+                this._obsoleteFiles.delete(fileNumber);
             }
         }
     }
 
     /**
-     * GET STATS
+     * DELETE an SSTable that is no longer live (now, or once unpinned)
+     * 
+     * If we crash first, the next open() garbage-collects it anyway.
+     * 
+     * @private
      */
-    stats() {
-        const levelStats = this.levels.map((level, i) => ({
-            level: i,
-            sstables: level.length,
-            entries: level.reduce((sum, sst) => sum + sst.stats().entryCount, 0),
-        }));
-
-        return {
+    _deleteObsoleteFile(sstable) {
+        if (this._fileRefs.has(sstable.fileNumber)) {
+            this._obsoleteFiles.set(sstable.fileNumber, sstable);
+        } else {
+            this._removeTable(sstable);
+        }
+    }
+
+    /**
+     * DELETE an SSTable file, closing it and dropping its blocks from the
+     * block cache
+     * 
+     * @private
+     */
+    _removeTable(sstable) {
+        sstable.close();
+        fs.unlinkSync(sstable.filePath);
+        this.blockCache.evictFile(sstable.cacheId);
+    }
+
+    /**
+     * NEW SSTABLE WRITER for a file that will live in the given level
+     * 
+     * @private
+     */
+    _newWriter(filePath, level) {
+        const compression = this.compressionPerLevel[level] !== undefined
+            ? this.compressionPerLevel[level]
+            : this.compression;
+        return new SSTableWriter(filePath, undefined, {
+            bitsPerKey: this.bloomBitsPerKey,
+            compression,
+            minCompressionSavings: this.minCompressionSavings,
+            comparator: this.comparator,
+        });
+    }
+
+    /**
+     * OPEN AN SSTABLE through the shared block and table caches
+     * 
+     * @private
+     */
+    _openTable(filePath, fileNumber) {
+        return new SSTableReader(filePath, {
+            fileNumber,
+            tableCache: this.tableCache,
+            blockCache: this.blockCache,
+            comparator: this.comparator,
+            cacheId: `${this.blockCacheId}:${fileNumber}`,
+            pinIndexAndFilterBlocks: this.pinIndexAndFilterBlocks,
+        });
+    }
+
+    /**
+     * FREEZE THE FULL MEMTABLE and queue it for flushing
+     * 
+     * Writes carry on at once in a fresh MemTable and WAL segment; the
+     * frozen one is still read by get() and iterators until its SSTable
+     * is installed.
+     * 
+     * @private
+     */
+    _freezeMemtable() {
+        this.wal.close();
+        this.immutables.push({ memtable: this.memtable, logs: this._walLogs });
+
+        this.memtable = new MemTable(this.memtableMaxSize, this.comparator);
+        this._walLogs = [];
+        this._openWal();
+
+        this._updateWriteStall();
+        this.background.schedule();
+    }
+
+    /**
+     * OPEN A NEW WAL SEGMENT for the active MemTable
+     * 
+     * @private
+     */
+    _openWal() {
+        const number = this.manifest.newFileNumber();
+        const logPath = logFileName(this.dataDir, number);
+        this.wal = new WriteAheadLog(logPath, this.walOptions);
+        // The new segment's directory entry must survive a crash too
+        syncDirectory(this.dataDir);
+        this._walLogs.push({ number, logPath });
+    }
+
+    /**
+     * NEXT BACKGROUND JOB: flushes first (they free memory and WAL space),
+     * then the most urgent compaction
+     * 
+     * @returns {object|null} A job for BackgroundJobs
+     * @private
+     */
+    _pickJob() {
+        // Flushes go one at a time, oldest MemTable first, so Level 0
+        // stays ordered oldest → newest
+        if (!this._flushing && this.immutables.length > 0) {
+            this._flushing = true;
+            return {
+                name: 'flush',
+                steps: this._flushSteps(this.immutables[0]),
+                onDone: () => {
+                    this._flushing = false;
+                    this._updateWriteStall();
+                },
+            };
+        }
+
+        const compaction = this._pickCompaction();
+        if (compaction === null) {
+            return null;
+        }
+
+        const files = [...compaction.inputs, ...compaction.nextInputs];
+        for (const sstable of files) {
+            this._compacting.add(sstable);
+        }
+        return {
+            name: 'compaction',
+            steps: this._compactionSteps(compaction),
+            onDone: () => {
+                for (const sstable of files) {
+                    this._compacting.delete(sstable);
+                }
+                this._updateWriteStall();
+            },
+        };
+    }
+
+    /**
+     * FLUSH AN IMMUTABLE MEMTABLE TO LEVEL 0
+     * 
+     * Builds the SSTable one data block per step (the MemTable is frozen,
+     * so it can't change in between). Writing the file and installing it
+     * is the last step, so readers find the data in exactly one place at
+     * any time.
+     * 
+     * @private
+     */
+    *_flushSteps(imm) {
+        console.log('\n💾 Flushing MemTable to Level 0...');
+
+        // Create new SSTable
+        const fileNumber = this.manifest.newFileNumber();
+        const sstablePath = tableFileName(this.dataDir, fileNumber);
+
+        const writer = this._newWriter(sstablePath, 0);
+        yield* writer.writeSteps(imm.memtable.entries(), imm.memtable.rangeDeletions);
+
+        // Commit: record the new file in the MANIFEST - and that WAL
+        // replay now starts at the next MemTable's first segment - then use it
+        const reader = this._openTable(sstablePath, fileNumber);
+        const next = this.immutables[this.immutables.indexOf(imm) + 1];
+        this._bytesFlushed += reader.fileSize;
+        this.manifest.logEdit({
+            added: [this._fileMeta(0, reader)],
+            lastSequence: this.lastSequence,
+            logNumber: (next !== undefined ? next.logs : this._walLogs)[0].number,
+        });
+        this.levels[0].push(reader);
+        this.immutables.splice(this.immutables.indexOf(imm), 1);
+
+        // Its WAL segments aren't needed anymore (data is now on disk, and
+        // the MANIFEST says so)
+        for (const { logPath } of imm.logs) {
+            fs.unlinkSync(logPath);
+        }
+    }
+
+    /**
+     * WAIT FOR BACKGROUND WORK - Resolves once every queued flush and
+     * every needed compaction is done
+     * 
+     * @returns {Promise} Rejects if a background job failed
+     */
+    waitForBackgroundWork() {
+        return this.background.whenIdle();
+    }
+
+    /**
+     * REFUSE WRITES after a background job failed
+     * 
+     * @private
+     */
+    _checkBackgroundError() {
+        if (this.background.error !== null) {
+            throw this.background.error;
+        }
+    }
+
+    /**
+     * CHECKS BEFORE A SYNCHRONOUS WRITE
+     * 
+     * @private
+     */
+    _beginSyncWrite() {
+        // An async write between its WAL record and its MemTable update
+        // owns the next sequence number - a sync write can't cut in
+        if (this._asyncWrites > 0) {
+            throw new Error('Synchronous write while async writes are pending - use db.promises or await them');
+        }
+        this._checkBackgroundError();
+        this._makeRoomForWrite();
+    }
+
+    /**
+     * WHEN WRITABLE - Wait out a write stall (for async writers)
+     * 
+     *   await db.whenWritable();
+     *   db.set(key, value);
+     * 
+     * Resolves after a short delay during a slowdown, and once background
+     * work has ended the stall during a stop.
+     * 
+     * @returns {Promise} Rejects if a background job failed
+     */
+    async whenWritable() {
+        while (this.writeStall.condition === 'stop' && this.background.running > 0) {
+            // Woken after every finished job
+            await new Promise(resolve => this._stallWaiters.push(resolve));
+        }
+        this._checkBackgroundError();
+
+        if (this.writeStall.condition === 'slowdown') {
+            await new Promise(resolve => setTimeout(resolve, SLOWDOWN_DELAY_MS));
+        }
+    }
+
+    /**
+     * MAKE ROOM FOR A (SYNCHRONOUS) WRITE
+     * 
+     * Slowdown: do one step of background work first.
+     * Stop: do background work until the stall is over (or nothing is
+     * left to do, e.g. the database is closing).
+     * 
+     * @private
+     */
+    _makeRoomForWrite() {
+        if (this.writeStall.condition === 'slowdown') {
+            this.background.runStep();
+        }
+        while (this.writeStall.condition === 'stop' && this.background.runStep()) {
+            // Each step may install a flush or compaction and end the stall
+        }
+    }
+
+    /**
+     * RE-CHECK THE STALL CONDITIONS after Level 0, the levels' sizes or
+     * the immutable MemTables changed; emits 'stall' / 'stallCleared'
+     * 
+     * @private
+     */
+    _updateWriteStall() {
+        const waiters = this._stallWaiters;
+        this._stallWaiters = [];
+        for (const resolve of waiters) {
+            resolve();
+        }
+
+        const previous = this.writeStall;
+        const { condition, reason } = this._writeStallCondition();
+        if (condition === previous.condition && reason === previous.reason) {
+            return;
+        }
+        this.writeStall = { condition, reason };
+
+        if (condition === 'normal') {
+            console.log('▶️  Writes flow again');
+            this.emit('stallCleared', { previous });
+            return;
+        }
+
+        this._stallCounts[condition]++;
+        const event = {
+            condition,
+            reason,
+            level0Files: this.levels[0].length,
+            pendingCompactionBytes: this._pendingCompactionBytes(),
+            immutableMemtables: this.immutables.length,
+        };
+        console.log(`${condition === 'stop' ? '🛑 Writes stopped' : '🐢 Writes slowed down'}: ${reason}`);
+        this.emit('stall', event);
+    }
+
+    /**
+     * WHICH STALL APPLIES NOW? Stops win over slowdowns
+     * 
+     * @returns {object} { condition, reason }
+     * @private
+     */
+    _writeStallCondition() {
+        const reached = (value, trigger) => trigger > 0 && value >= trigger;
+        const level0Files = this.levels[0].length;
+        const pendingBytes = this._pendingCompactionBytes();
+
+        if (reached(this.immutables.length, this.maxImmutableMemtables)) {
+            return { condition: 'stop', reason: 'immutable-memtables' };
+        }
+        if (reached(level0Files, this.level0StopTrigger)) {
+            return { condition: 'stop', reason: 'level0-files' };
+        }
+        if (reached(pendingBytes, this.hardPendingCompactionBytesLimit)) {
+            return { condition: 'stop', reason: 'pending-compaction-bytes' };
+        }
+        if (reached(level0Files, this.level0SlowdownTrigger)) {
+            return { condition: 'slowdown', reason: 'level0-files' };
+        }
+        if (reached(pendingBytes, this.softPendingCompactionBytesLimit)) {
+            return { condition: 'slowdown', reason: 'pending-compaction-bytes' };
+        }
+        return { condition: 'normal', reason: null };
+    }
+
+    /**
+     * PENDING COMPACTION BYTES - roughly how much compaction still has to
+     * rewrite before every level is back under its target
+     * 
+     * Leveled: a full Level 0 is merged with all of Level 1; a level over
+     * its target pushes the excess down, rewriting its share of the next
+     * level too - and that excess may push the next level over as well.
+     * Tiered: a due merge may rewrite every run.
+     * 
+     * @returns {number} Bytes
+     * @private
+     */
+    _pendingCompactionBytes() {
+        if (this.compactionStyle === 'tiered') {
+            return this.levels[0].length >= this.maxSortedRuns ? this._levelBytes(0) : 0;
+        }
+
+        let pending = 0;
+        let incoming = 0;
+        if (this.levels[0].length >= this.level0MaxFiles) {
+            incoming = this._levelBytes(0);
+            pending += incoming + this._levelBytes(1);
+        }
+
+        for (let level = 1; level < this.maxLevels - 1; level++) {
+            const levelBytes = this._levelBytes(level) + incoming;
+            const excess = levelBytes - this.maxBytesForLevel(level);
+            if (excess <= 0) {
+                incoming = 0;
+                continue;
+            }
+            // The excess is rewritten, plus the same share of the next level
+            pending += excess * (1 + this._levelBytes(level + 1) / levelBytes);
+            incoming = excess;
+        }
+        return pending;
+    }
+
+    /**
+     * TARGET SIZE OF A LEVEL (Level 1 and deeper)
+     * 
+     * @param {number} level
+     * @returns {number} Bytes: maxBytesForLevelBase × multiplier^(level - 1)
+     */
+    maxBytesForLevel(level) {
+        return this.maxBytesForLevelBase * Math.pow(this.levelSizeMultiplier, level - 1);
+    }
+
+    /**
+     * HOW FULL IS A LEVEL? (>= 1 means it needs compacting)
+     * 
+     * Level 0 counts files - every L0 file may have to be read on a
+     * lookup. Deeper levels count bytes against their target.
+     * 
+     * @private
+     */
+    _levelScore(level) {
+        if (level === 0) {
+            return this.levels[0].length / this.level0MaxFiles;
+        }
+        return this._levelBytes(level) / this.maxBytesForLevel(level);
+    }
+
+    /**
+     * @private
+     */
+    _levelBytes(level) {
+        return this.levels[level].reduce((sum, sstable) => sum + sstable.fileSize, 0);
+    }
+
+    /**
+     * PICK THE NEXT COMPACTION: the fullest level, and which of its files
+     * 
+     * @returns {object|null} { level, inputs, nextInputs }, or null if
+     *                        every level is within its target
+     * @private
+     */
+    _pickCompaction() {
+        if (this.compactionStyle === 'tiered') {
+            return this._pickTieredCompaction();
+        }
+
+        // Fullest level first (the deepest level has nowhere to compact to)
+        const needy = [];
+        for (let level = 0; level < this.maxLevels - 1; level++) {
+            const score = this._levelScore(level);
+            if (score >= 1) {
+                needy.push({ level, score });
+            }
+        }
+        needy.sort((a, b) => b.score - a.score);
+
+        for (const { level } of needy) {
+            const compaction = this._pickLevelCompaction(level);
+            if (compaction !== null) {
+                return compaction;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * PICK FILES TO COMPACT from one level, avoiding files that a running
+     * compaction already owns
+     * 
+     * @returns {object|null} { level, inputs, nextInputs }
+     * @private
+     */
+    _pickLevelCompaction(level) {
+        const busy = sstable => this._compacting.has(sstable);
+        const candidates = [];
+
+        if (level === 0) {
+            // L0 files overlap each other, so take them all
+            // (an older L0 file must never be left behind a newer one)
+            if (this.levels[0].some(busy)) {
+                return null;
+            }
+            candidates.push([...this.levels[0]]);
+        } else {
+            // One file, round-robin through the key space: starting with
+            // the first file after where the last compaction stopped
+            const files = this.levels[level];
+            const pointer = this._compactPointers[level];
+            const first = Math.max(0, pointer === undefined ? 0 : files.findIndex(sstable => this.compare(sstable.footer.minKey, pointer) > 0));
+            for (let i = 0; i < files.length; i++) {
+                const sstable = files[(first + i) % files.length];
+                if (!busy(sstable)) {
+                    candidates.push([sstable]);
+                }
+            }
+        }
+
+        for (const inputs of candidates) {
+            const { minKey, maxKey } = this._keyRange(inputs);
+            const nextInputs = this._overlappingFiles(level + 1, minKey, maxKey);
+            if (!nextInputs.some(busy)) {
+                return { level, inputs, nextInputs };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * PICK A TIERED COMPACTION: which sorted runs to merge
+     * 
+     * Runs are the Level 0 files, oldest → newest. Nothing happens until
+     * there are maxSortedRuns of them; then, in order:
+     * 
+     * 1. SPACE: the newer runs together are maxSizeAmplification times
+     *    the oldest (biggest) one → merge everything. Only a merge that
+     *    includes the oldest run can drop tombstones and old versions.
+     * 2. SIMILAR SIZES: starting from the newest run, take older runs
+     *    while each is at most sizeRatio × everything taken so far:
+     * 
+     *      runs (old → new):  [800] [90] [40] [35] [20]
+     *      20 → +35 (≤ 20·1.5) → +40 (≤ 55·1.5) → +90 (≤ 95·1.5) → stop at 800
+     *      → merge [90] [40] [35] [20] into one run of ~185
+     * 
+     * 3. Otherwise merge just enough of the newest runs to get back
+     *    under maxSortedRuns.
+     * 
+     * @returns {object|null} { level: 0, outputLevel: 0, inputs, nextInputs: [] }
+     * @private
+     */
+    _pickTieredCompaction() {
+        // One merge at a time, so the runs it picks stay side by side
+        const runs = this.levels[0];
+        if (runs.length < this.maxSortedRuns || this._compacting.size > 0) {
+            return null;
+        }
+
+        const sizes = runs.map(sstable => sstable.fileSize);
+        const compaction = (start, end = runs.length) => ({
+            level: 0,
+            outputLevel: 0,
+            inputs: runs.slice(start, end),
+            nextInputs: [],
+        });
+
+        const newerBytes = sizes.slice(1).reduce((sum, size) => sum + size, 0);
+        if (newerBytes >= this.maxSizeAmplification * sizes[0]) {
+            return compaction(0);
+        }
+
+        // Grow a group from each run in turn (newest first) towards older runs
+        for (let end = runs.length - 1; end > 0; end--) {
+            let start = end;
+            let groupBytes = sizes[end];
+            while (start > 0 && sizes[start - 1] <= this.sizeRatio * groupBytes) {
+                start--;
+                groupBytes += sizes[start];
+            }
+            if (start < end) {
+                return compaction(start, end + 1);
+            }
+        }
+
+        // Merging k runs leaves k - 1 fewer
+        return compaction(Math.max(0, this.maxSortedRuns - 2));
+    }
+
+    /**
+     * FILES OF A LEVEL whose key range overlaps [minKey, maxKey]
+     * 
+     * @private
+     */
+    _overlappingFiles(level, minKey, maxKey) {
+        return this.levels[level].filter(sstable =>
+            this.compare(sstable.footer.maxKey, minKey) >= 0 && this.compare(sstable.footer.minKey, maxKey) <= 0
+        );
+    }
+
+    /**
+     * @private
+     */
+    _keyRange(sstables) {
+        let minKey = sstables[0].footer.minKey;
+        let maxKey = sstables[0].footer.maxKey;
+        for (const sstable of sstables) {
+            if (this.compare(sstable.footer.minKey, minKey) < 0) {
+                minKey = sstable.footer.minKey;
+            }
+            if (this.compare(sstable.footer.maxKey, maxKey) > 0) {
+                maxKey = sstable.footer.maxKey;
+            }
+        }
+        return { minKey, maxKey };
+    }
+
+    /**
+     * RUN ONE COMPACTION
+     * 
+     * This is the key operation of LSM Trees!
+     * Leveled: merges the picked files of level N with the files of level
+     * N+1 they overlap, and writes the result to level N+1 as a run of
+     * non-overlapping files of ~targetFileSize bytes each.
+     * Tiered: merges sorted runs into ONE new run that takes their place
+     * in Level 0.
+     * 
+     * Yields every COMPACTION_STEP_KEYS keys and after each output file,
+     * so writes and reads carry on meanwhile. Nothing changes for them
+     * until the last step installs the result.
+     * 
+     * @param {object} compaction - From _pickCompaction()
+     * @private
+     */
+    *_compactionSteps({ level, outputLevel = level + 1, inputs, nextInputs }) {
+        const { maxKey } = this._keyRange(inputs);
+        this._compactPointers[level] = maxKey;
+
+        if (outputLevel === level) {
+            console.log(`\n🔧 Merging ${inputs.length} sorted runs...`);
+        } else {
+            console.log(`\n🔧 Compacting Level ${level} → Level ${outputLevel} ` +
+                `(${inputs.length} + ${nextInputs.length} files)...`);
+        }
+
+        // Nothing to merge with → just move the file down (no rewrite!)
+        // - unless it has range tombstones, which only a rewrite can retire
+        if (inputs.length === 1 && nextInputs.length === 0 && outputLevel !== level &&
+            inputs[0].rangeDeletions.length === 0) {
+            const [sstable] = inputs;
+            this.manifest.logEdit({
+                lastSequence: this.lastSequence,
+                added: [this._fileMeta(outputLevel, sstable)],
+                deleted: [{ level, number: sstable.fileNumber }],
+            });
+            this.levels[level] = this.levels[level].filter(f => f !== sstable);
+            this._addToLevel(outputLevel, [sstable]);
+            console.log(`   Moved file ${sstable.fileNumber} to Level ${outputLevel}`);
+            return;
+        }
+
+        // Merge every version, in order: key ascending, newest first.
+        // Sources go newest file first, which breaks ties between versions
+        // written before sequence numbers existed.
+        const sources = level === 0 ? [...inputs].reverse() : inputs;
+        const merged = new MergingIterator([...sources, ...nextInputs].map(sstable => sstable.iterator()), this.comparator);
+
+        const snapshotSequences = this.snapshots.sequences();
+
+        // One clock reading for the whole compaction
+        const now = Date.now();
+        const filtered = this.compactionFilter === null ? null : this.compactionFilter.stats();
+
+        // Older data in the output level (a tiered merge that skipped the
+        // oldest runs) may still need our tombstones
+        const mayDropTombstones = outputLevel !== level || inputs[0] === this.levels[level][0];
+
+        // A tiered run is a single file, however big
+        const targetFileSize = outputLevel === level ? Infinity : this.targetFileSize;
+
+        // Range tombstones drop what they cover; those still needed go
+        // into the output file that is open when the merge reaches their
+        // start key
+        const rangeDeletions = [...inputs, ...nextInputs].flatMap(sstable => sstable.rangeDeletions);
+        const pendingRangeDeletions = this._keptRangeDeletions(rangeDeletions, [...inputs, ...nextInputs], snapshotSequences)
+            .sort((a, b) => this.compare(a.start, b.start));
+
+        const newReaders = [];
+        let batch = [];
+        let batchRangeDeletions = [];
+        let batchBytes = 0;
+        let keys = 0;
+
+        const finishFile = () => {
+            if (batch.length === 0 && batchRangeDeletions.length === 0) {
+                return;
+            }
+            const fileNumber = this.manifest.newFileNumber();
+            const sstablePath = tableFileName(this.dataDir, fileNumber);
+            this._newWriter(sstablePath, outputLevel).write(batch, batchRangeDeletions);
+            const reader = this._openTable(sstablePath, fileNumber);
+            this._bytesCompacted += reader.fileSize;
+            newReaders.push(reader);
+            batch = [];
+            batchRangeDeletions = [];
+            batchBytes = 0;
+        };
+
+        merged.seekToFirst();
+        while (merged.valid()) {
+            if (++keys % COMPACTION_STEP_KEYS === 0) {
+                yield;
+            }
+
+            const key = merged.current.key;
+            const versions = [];
+            while (merged.valid() && this.compare(merged.current.key, key) === 0) {
+                const { type, value, seq, expiresAt } = merged.current;
+                if (isExpired(expiresAt, now)) {
+                    // Every reader sees an expired value as deleted: keep it as
+                    // a tombstone, which can be dropped below
+                    versions.push({ type: VALUE_TYPE.DELETION, value: undefined, seq });
+                } else {
+                    versions.push({ type, value, seq, expiresAt });
+                }
+                merged.next();
+            }
+
+            // Drop versions nobody can see
+            let kept = this._visibleVersions(versions, snapshotSequences);
+
+            // ...or that a range tombstone hides from everybody
+            if (rangeDeletions.length > 0) {
+                kept = this._dropRangeDeleted(key, kept, rangeDeletions, snapshotSequences);
+            }
+
+            // Fold merge operands into the value under them
+            if (this.mergeOperator !== null) {
+                kept = this._collapseMerges(key, kept, snapshotSequences,
+                    mayDropTombstones && this._isBaseLevelForKey(key, outputLevel));
+            }
+
+            // Let the compaction filter remove or rewrite what no snapshot reads
+            if (this.compactionFilter !== null) {
+                for (let i = 0; i < kept.length; i++) {
+                    kept[i] = this.compactionFilter.apply(level, key, kept[i], snapshotSequences);
+                }
+            }
+
+            // A tombstone can go once no deeper level holds the key - as
+            // long as no older kept version would show through
+            while (mayDropTombstones && kept.length > 0 && kept[kept.length - 1].type === VALUE_TYPE.DELETION &&
+                this._isBaseLevelForKey(key, outputLevel)) {
+                kept.pop();
+            }
+
+            while (pendingRangeDeletions.length > 0 && this.compare(pendingRangeDeletions[0].start, key) <= 0) {
+                batchRangeDeletions.push(pendingRangeDeletions.shift());
+            }
+
+            // Output file is full → start the next one (between two keys,
+            // so the versions of a key never span two files - and not
+            // inside a range tombstone of the file, so files don't overlap)
+            if (kept.length > 0 && batchBytes >= targetFileSize &&
+                !batchRangeDeletions.some(({ end }) => this.compare(end, key) >= 0)) {
+                finishFile();
+                yield;
+            }
+
+            for (const { type, value, seq, expiresAt } of kept) {
+                batch.push({ key, type, value, seq, expiresAt });
+                // (tombstones stringify to undefined)
+                const valueBytes = Buffer.isBuffer(value) ? value.length : (JSON.stringify(value) || '').length;
+                batchBytes += key.length + valueBytes + 8;
+            }
+        }
+        batchRangeDeletions.push(...pendingRangeDeletions);
+        finishFile();
+
+        // Commit: ONE manifest edit swaps the inputs for the outputs.
+        // A crash before this line leaves the old files live; after it,
+        // the old files are garbage that the next open() deletes.
+        this.manifest.logEdit({
+            lastSequence: this.lastSequence,
+            added: newReaders.map(reader => this._fileMeta(outputLevel, reader)),
+            deleted: [
+                ...inputs.map(sstable => ({ level, number: sstable.fileNumber })),
+                ...nextInputs.map(sstable => ({ level: outputLevel, number: sstable.fileNumber })),
+            ],
+        });
+
+        if (outputLevel === level) {
+            // The new run takes the place of the runs it replaces
+            const position = this.levels[level].indexOf(inputs[0]);
+            this.levels[level] = this.levels[level].filter(sstable => !inputs.includes(sstable));
+            this.levels[level].splice(position, 0, ...newReaders);
+        } else {
+            this.levels[level] = this.levels[level].filter(sstable => !inputs.includes(sstable));
+            this.levels[outputLevel] = this.levels[outputLevel].filter(sstable => !nextInputs.includes(sstable));
+            this._addToLevel(outputLevel, newReaders);
+        }
+
+        // Delete old SSTable files (deferred while an iterator reads them)
+        for (const sstable of [...inputs, ...nextInputs]) {
+            this._deleteObsoleteFile(sstable);
+        }
+
+        console.log(`   Merged ${inputs.length + nextInputs.length} files → ` +
+            `${newReaders.length} file(s) at Level ${outputLevel}`);
+        if (filtered !== null) {
+            const { removed, changed } = this.compactionFilter.stats();
+            console.log(`   Compaction filter: ${removed - filtered.removed} removed, ` +
+                `${changed - filtered.changed} changed`);
+        }
+    }
+
+    /**
+     * ADD FILES TO A LEVEL (Level 1+ stays sorted by key range)
+     * 
+     * @private
+     */
+    _addToLevel(level, sstables) {
+        this.levels[level].push(...sstables);
+        if (level > 0) {
+            this._sortLevel(level);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sortLevel(level) {
+        this.levels[level].sort((a, b) => this.compare(a.footer.minKey, b.footer.minKey));
+    }
+
+    /**
+     * IS THIS THE DEEPEST LEVEL THAT COULD HOLD key?
+     * 
+     * If no level below outputLevel has a file covering the key, a
+     * tombstone has nothing left to hide and can be dropped.
+     * 
+     * @private
+     */
+    _isBaseLevelForKey(key, outputLevel) {
+        for (let level = outputLevel + 1; level < this.maxLevels; level++) {
+            if (this._findFile(level, key) !== null) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * FIND THE FILE of a Level 1+ level whose range covers key
+     * 
+     * Files don't overlap and are sorted, so binary search on maxKey.
+     * 
+     * @returns {SSTableReader|null}
+     * @private
+     */
+    _findFile(level, key, levels = this.levels) {
+        const files = levels[level];
+        let lo = 0;
+        let hi = files.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (this.compare(files[mid].footer.maxKey, key) < 0) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo < files.length && this.compare(files[lo].footer.minKey, key) <= 0 ? files[lo] : null;
+    }
+
+    /**
+     * WHICH VERSIONS OF ONE KEY must survive compaction?
+     * 
+     * @param {Array} versions - All versions of a key, newest first
+     * @param {number[]} snapshotSequences - Live snapshots, ascending
+     * @returns {Array} The versions some reader can still see
+     * 
+     * A version is visible to readers whose sequence lies between its own
+     * seq and the seq of the next newer version. It is kept if the latest
+     * state or a live snapshot falls in that window:
+     * 
+     *   versions:   a@9          a@6          a@2
+     *   windows:   [9, ∞)       [6, 9)       [2, 6)
+     *   snapshots:        7 ───────┘                  → keep a@9, a@6
+     * 
+     * A kept merge operand is nothing without what's under it, so the
+     * version right below it is kept too.
+     * 
+     * @private
+     */
+    _visibleVersions(versions, snapshotSequences) {
+        const kept = [];
+        let newerSeq = Infinity;
+        let underMerge = false;
+
+        for (const version of versions) {
+            const needed = newerSeq === Infinity || underMerge ||
+                snapshotSequences.some(s => s >= version.seq && s < newerSeq);
+            if (needed) {
+                kept.push(version);
+            }
+            newerSeq = version.seq;
+            underMerge = needed && version.type === VALUE_TYPE.MERGE;
+        }
+
+        return kept;
+    }
+
+    /**
+     * COLLAPSE MERGE OPERANDS of one key (see merge-operator.js)
+     * 
+     * @param {Array} kept - The key's kept versions, newest first
+     * @param {number[]} snapshotSequences - Live snapshots, ascending
+     * @param {boolean} bottommost - Nothing older of the key exists anywhere
+     * @returns {Array} The versions to write
+     * 
+     * Versions with no snapshot between them look the same to every
+     * reader, so the operands among them can be folded together:
+     * 
+     *   a@9 +1  a@8 +2  a@5 =10                →  a@9 =13
+     *   a@9 +1  a@8 +2 | a@5 =10  (snapshot 7) →  a@9 +3   a@5 =10
+     *   a@9 +1  a@8 +2  (bottommost)           →  a@9 =3
+     * 
+     * A value with an expiry time is left alone (the operands outlive it).
+     * 
+     * @private
+     */
+    _collapseMerges(key, kept, snapshotSequences, bottommost) {
+        const collapsed = [];
+        let i = 0;
+
+        while (i < kept.length) {
+            const newest = kept[i];
+            if (newest.type !== VALUE_TYPE.MERGE) {
+                collapsed.push(newest);
+                i++;
+                continue;
+            }
+
+            // Newest snapshot that can't see this operand: versions at or
+            // below it look different to that snapshot
+            let floor = 0;
+            for (const sequence of snapshotSequences) {
+                if (sequence < newest.seq) {
+                    floor = sequence;
+                }
+            }
+
+            const operands = [];
+            while (i < kept.length && kept[i].type === VALUE_TYPE.MERGE && kept[i].seq > floor) {
+                operands.unshift(kept[i].value); // oldest first
+                i++;
+            }
+            const base = i < kept.length && kept[i].seq > floor ? kept[i] : undefined;
+
+            if (base !== undefined && base.expiresAt === undefined) {
+                // A value (or deletion: no value) to fold everything into
+                const existing = base.type === VALUE_TYPE.DELETION ? undefined : base.value;
+                collapsed.push({ type: VALUE_TYPE.VALUE, value: this.mergeOperator.fullMerge(key, existing, operands), seq: newest.seq });
+                i++;
+            } else if (base === undefined && i === kept.length && bottommost) {
+                collapsed.push({ type: VALUE_TYPE.VALUE, value: this.mergeOperator.fullMerge(key, undefined, operands), seq: newest.seq });
+            } else {
+                const value = operands.length === 1 ? operands[0] : this.mergeOperator.partialMerge(key, operands);
+                collapsed.push({ type: VALUE_TYPE.MERGE, value, seq: newest.seq });
+            }
+        }
+
+        return collapsed;
+    }
+
+    /**
+     * DROP THE VERSIONS OF ONE KEY that a range tombstone hides from
+     * every reader
+     * 
+     * @param {Array} versions - The key's kept versions, newest first
+     * @param {Array} rangeDeletions - Tombstones of the compaction's files
+     * @param {number[]} snapshotSequences - Live snapshots, ascending
+     * @returns {Array} The versions left
+     * 
+     * A tombstone hides the versions older than itself - except from a
+     * snapshot taken between the two:
+     * 
+     *   [a, m)@8   b@6   b@2            →  (nothing)
+     *   [a, m)@8   b@6   b@2  snapshot 7 →  b@6 (the snapshot reads it)
+     * 
+     * @private
+     */
+    _dropRangeDeleted(key, versions, rangeDeletions, snapshotSequences) {
+        return versions.filter(version => !rangeDeletions.some(rangeDeletion =>
+            rangeDeletion.seq > version.seq && covers(rangeDeletion, key, this.compare) &&
+            !snapshotSequences.some(s => s >= version.seq && s < rangeDeletion.seq)
+        ));
+    }
+
+    /**
+     * WHICH RANGE TOMBSTONES must survive a compaction?
+     * 
+     * @param {Array} rangeDeletions - Tombstones of the compaction's files
+     * @param {Array} compacting - The compaction's files
+     * @param {number[]} snapshotSequences - Live snapshots, ascending
+     * @returns {Array} The tombstones to write
+     * 
+     * The compaction drops everything a tombstone covers. It can retire
+     * the tombstone too, unless:
+     * - a snapshot older than it is live (it may still be reading
+     *   versions under the tombstone, which were kept), or
+     * - a file outside the compaction, in any level, overlaps its range
+     *   and holds data older than it
+     * 
+     * The deeper the tombstone goes, the fewer files are left below it -
+     * at the bottom level, nothing is.
+     * 
+     * @private
+     */
+    _keptRangeDeletions(rangeDeletions, compacting, snapshotSequences) {
+        const others = this.levels.flat().filter(sstable => !compacting.includes(sstable));
+        return rangeDeletions.filter(({ start, end, seq }) =>
+            snapshotSequences.some(s => s < seq) ||
+            others.some(sstable => (sstable.footer.smallestSeq || 0) < seq &&
+                this.compare(sstable.footer.maxKey, start) >= 0 && this.compare(sstable.footer.minKey, end) <= 0)
+        );
+    }
+
+    /**
+     * DESCRIBE AN SSTABLE for the MANIFEST
+     * 
+     * @private
+     */
+    _fileMeta(level, reader) {
+        const stats = reader.stats();
+        return {
+            level,
+            number: reader.fileNumber,
+            minKey: stats.minKey,
+            maxKey: stats.maxKey,
+            entryCount: stats.entryCount,
+            fileSize: fs.statSync(reader.filePath).size,
+        };
+    }
+
+    /**
+     * RECOVER FROM EXISTING DATA
+     * 
+     * On startup:
+     * 1. Replay the MANIFEST to learn which SSTables are live
+     * 2. Start a fresh MANIFEST and delete files nobody references
+     *    (including WAL segments that were already flushed)
+     * 3. Replay the remaining WAL segments into the MemTable
+     * 
+     * @private
+     */
+    _recover() {
+        // Which SSTables are live? The MANIFEST knows - not the directory listing
+        const existed = this.manifest.recover();
+        this.lastSequence = this.manifest.lastSequence;
+        // WAL segments number themselves before the MANIFEST hears of them
+        const segments = this._walSegments();
+        for (const { number } of segments) {
+            this.manifest.markFileNumberUsed(number);
+        }
+        if (!existed) {
+            this._migrateLegacyTables();
+        }
+
+        // Commit point for the recovered version, then clean up
+        this.manifest.writeSnapshot();
+        for (const file of this.manifest.collectGarbage()) {
+            console.log(`🧹 Removed unreferenced file ${file}`);
+        }
+
+        for (const level of this.manifest.levels) {
+            for (const file of level) {
+                const reader = this._openTable(tableFileName(this.dataDir, file.number), file.number);
+                this.levels[file.level].push(reader);
+            }
+        }
+        for (let level = 1; level < this.maxLevels; level++) {
+            this._sortLevel(level);
+        }
+
+        // Level 0 oldest → newest. A tiered merge puts its output where its
+        // inputs were, but the MANIFEST lists it last - the sequence numbers
+        // know better (sort is stable: tables without them keep their order)
+        this.levels[0].sort((a, b) => (a.footer.largestSeq || 0) - (b.footer.largestSeq || 0));
+
+        // Replay WAL segments in order (MemTables that were never flushed)
+        // - deletes become MemTable tombstones so they still hide older
+        // values in the SSTables.
+        // Records from before sequence numbers existed get fresh ones.
+        const nextSequence = (seq) => {
+            if (seq === undefined) {
+                return ++this.lastSequence;
+            }
+            this.lastSequence = Math.max(this.lastSequence, seq);
+            return seq;
+        };
+        const replayed = [];
+        for (const segment of segments) {
+            if (segment.number < this.manifest.logNumber) {
+                continue; // Flushed (and deleted by collectGarbage())
+            }
+            const wal = new WriteAheadLog(segment.logPath, this.walOptions);
+            wal.replay({
+                set: (key, value, seq, expiresAt) => this.memtable.set(key, value, nextSequence(seq), expiresAt),
+                delete: (key, seq) => this.memtable.delete(key, nextSequence(seq)),
+                merge: (key, operand, seq) => this.memtable.merge(key, operand, nextSequence(seq)),
+                deleteRange: (startKey, endKey, seq) => this.memtable.deleteRange(startKey, endKey, nextSequence(seq)),
+            });
+            wal.close();
+
+            replayed.push(segment);
+        }
+
+        // The recovered MemTable is flushed right away (its segments are
+        // deleted after that) - otherwise every restart would add a segment
+        // for the next one to replay. Writes go to a fresh segment.
+        if (this.memtable.stats().entries > 0 || this.memtable.rangeDeletions.length > 0) {
+            this.immutables.push({ memtable: this.memtable, logs: replayed });
+            this.memtable = new MemTable(this.memtableMaxSize, this.comparator);
+        }
+        this._openWal();
+
+        // Nothing to flush (e.g. the last run only read): the replayed
+        // segments are done with as soon as the MANIFEST says so
+        if (this.immutables.length === 0 && replayed.length > 0) {
+            this.manifest.logEdit({ logNumber: this._walLogs[0].number });
+            for (const { logPath } of replayed) {
+                fs.unlinkSync(logPath);
+            }
+        }
+
+        // Levels over their target (e.g. after changing the options) catch up now
+        this._updateWriteStall();
+        this.background.schedule();
+    }
+
+    /**
+     * WAL SEGMENTS ON DISK, oldest first
+     * 
+     * @returns {Array} { number, logPath } - segments from before they were
+     *                  numbered like SSTables (wal.log, then wal-N.log)
+     *                  count as number 0 and come first
+     * @private
+     */
+    _walSegments() {
+        const segments = [];
+        for (const file of fs.readdirSync(this.dataDir)) {
+            const match = file.match(/^(\d+)\.log$/);
+            const legacy = file.match(/^wal(?:-(\d+))?\.log$/);
+            if (match) {
+                segments.push({ number: parseInt(match[1], 10), order: 0, logPath: path.join(this.dataDir, file) });
+            } else if (legacy) {
+                const order = legacy[1] === undefined ? 0 : parseInt(legacy[1], 10);
+                segments.push({ number: 0, order, logPath: path.join(this.dataDir, file) });
+            }
+        }
+        return segments
+            .sort((a, b) => a.number - b.number || a.order - b.order)
+            .map(({ number, logPath }) => ({ number, logPath }));
+    }
+
+    /**
+     * MIGRATE levelN_M.sst FILES from before the MANIFEST existed
+     * 
+     * Each old file is hard-linked under a new numbered name and added to
+     * the in-memory version. writeSnapshot() then commits them all at once;
+     * collectGarbage() removes the old names afterwards.
+     * 
+     * @private
+     */
+    _migrateLegacyTables() {
+        const legacy = [];
+        for (const file of fs.readdirSync(this.dataDir)) {
+            const match = file.match(/^level(\d+)_(\d+)\.sst$/);
+            if (match) {
+                legacy.push({ file, level: parseInt(match[1], 10), counter: parseInt(match[2], 10) });
+            }
+        }
+
+        // Older files first, so Level 0 stays ordered oldest → newest
+        legacy.sort((a, b) => a.counter - b.counter);
+
+        for (const { file, level } of legacy) {
+            const fileNumber = this.manifest.newFileNumber();
+            const target = tableFileName(this.dataDir, fileNumber);
+
+            // Leftover from an earlier, interrupted migration
+            if (fs.existsSync(target)) {
+                fs.unlinkSync(target);
+            }
+            fs.linkSync(path.join(this.dataDir, file), target);
+
+            const reader = this._openTable(target, fileNumber);
+            this.manifest.apply({ added: [this._fileMeta(level, reader)] });
+            console.log(`📦 Migrated ${file} → ${path.basename(target)}`);
+        }
+    }
+
+    /**
+     * VERIFY INTEGRITY - Read every block of every live SSTable
+     * 
+     * Never throws on damage: it keeps scanning and reports everything.
+     * 
+     * @returns {object} { ok, tables: [{ level, fileNumber, ...verify() report }],
+     *                     errors: [CorruptionError] }
+     */
+    verifyIntegrity() {
+        const tables = [];
+        this.levels.forEach((sstables, level) => {
+            for (const sstable of sstables) {
+                tables.push({ level, fileNumber: sstable.fileNumber, ...sstable.verify() });
+            }
+        });
+
+        const errors = tables.flatMap(table => table.errors);
+        return { ok: errors.length === 0, tables, errors };
+    }
+
+    /**
+     * GET STATS
+     */
+    stats() {
+        const levelStats = this.levels.map((level, i) => ({
+            level: i,
+            sstables: level.length,
+            entries: level.reduce((sum, sst) => sum + sst.stats().entryCount, 0),
+            rangeDeletions: level.reduce((sum, sst) => sum + sst.rangeDeletions.length, 0),
+            bytes: level.reduce((sum, sst) => sum + sst.fileSize, 0),
+        }));
+
+        return {
+            lastSequence: this.lastSequence,
+            snapshots: this.snapshots.size,
             memtable: this.memtable.stats(),
+            immutableMemtables: this.immutables.length,
+            walSegments: this.immutables.reduce((sum, imm) => sum + imm.logs.length, this._walLogs.length),
+            backgroundJobs: this.background.running,
             levels: levelStats.filter(l => l.sstables > 0),
             totalSSTables: this.levels.reduce((sum, l) => sum + l.length, 0),
+            compactionStyle: this.compactionStyle,
+            comparator: this.comparator.name,
+            keyEncoding: this.keyEncoding.name,
+            valueEncoding: this.valueEncoding.name,
+            mergeOperator: this.mergeOperator === null ? null : this.mergeOperator.name,
+            writeStall: {
+                ...this.writeStall,
+                pendingCompactionBytes: this._pendingCompactionBytes(),
+                slowdowns: this._stallCounts.slowdown,
+                stops: this._stallCounts.stop,
+            },
+            // Bytes written to SSTables per byte flushed (since open)
+            writeAmplification: this._bytesFlushed > 0
+                ? (this._bytesFlushed + this._bytesCompacted) / this._bytesFlushed
+                : 0,
+            blockCache: this.blockCache.stats(),
+            tableCache: this.tableCache.stats(),
+            // Entries the compaction filter removed / changed (since open)
+            compactionFilter: this.compactionFilter === null ? null : this.compactionFilter.stats(),
         };
     }
 
     /**
      * CLOSE - Clean shutdown
+     * 
+     * Background jobs stop at their next step. MemTables still waiting
+     * for a flush are safe in their WAL segments and get replayed by the
+     * next open() - await waitForBackgroundWork() first to flush them now.
+     * 
+     * A shared blockCache outlives the database, so its blocks - pinned
+     * index and filter blocks too - are dropped from it here.
      */
     close() {
+        this.background.stop();
         this.wal.close();
-        console.log('👋 LSM Tree closed');
+        this.manifest.close();
+        for (const sstable of [...this.levels.flat(), ...this._obsoleteFiles.values()]) {
+            this.blockCache.evictFile(sstable.cacheId);
+        }
+        this.tableCache.close();
     }
 }
 
-module.exports = { LSMTree };
+module.exports = { LSMTree, AsyncLSMTree, WriteBatch, CorruptionError };
@@ -0,0 +1,348 @@
+/**
+ * ============================================================================
+ * STEP 5: MANIFEST - Which SSTables Are Alive?
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how an LSM tree remembers its file layout safely, even if it
+ * crashes in the middle of a flush or compaction.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM
+ *    Compaction does three things:
+ *    1. Write the merged SSTable
+ *    2. Start using it
+ *    3. Delete the old SSTables
+ *
+ *    If we just look at which files exist on disk, a crash between 1 and 3
+ *    leaves BOTH the old and the new files around. On restart we'd read
+ *    the merged data twice - and an old file could resurrect deleted keys!
+ *
+ * 2. THE SOLUTION: A LOG OF VERSION EDITS
+ *    The MANIFEST is a log (same record format as the WAL) where every
+ *    change to the file layout is ONE record:
+ *
+ *    VersionEdit {
+ *      added:   [{ level: 1, number: 12, minKey, maxKey, ... }],
+ *      deleted: [{ level: 0, number: 9 }, { level: 0, number: 10 }],
+ *      nextFileNumber: 13,
+ *      lastSequence: 4711,
+ *      logNumber: 11,
+ *    }
+ *
+ *    Appending that record IS the commit point of a compaction:
+ *    - Crash before it → old files are still the truth, new file is junk
+ *    - Crash after it  → new file is the truth, old files are junk
+ *    Either way, "junk" = files not in the manifest → garbage-collected.
+ *
+ *    WAL segments (000011.log) work the same way: logNumber is the oldest
+ *    segment whose MemTable is NOT flushed yet. A flush's edit raises it,
+ *    and only then are the older segments deleted - a crash in between
+ *    leaves segments that recovery knows are junk, instead of replaying
+ *    data that is already in an SSTable.
+ *
+ * 3. THE CURRENT FILE
+ *    On every open we write a fresh MANIFEST-<n> holding one snapshot edit,
+ *    so the log never grows forever. CURRENT names the live manifest:
+ *
+ *    CURRENT          →  "MANIFEST-000007\n"
+ *    MANIFEST-000007  →  [snapshot edit] [edit] [edit] ...
+ *
+ *    CURRENT is replaced with write-temp + fsync + rename, which is atomic:
+ *    a reader always sees the old name or the new name, never half of one.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    This is LevelDB's VersionSet / VersionEdit machinery, with the same
+ *    MANIFEST-<number>, CURRENT and <number>.log file names (and its
+ *    log_number field).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LOG_MAGIC, encodeRecord, readRecords } = require('../step2/log-format');
+const { packBytes, unpackBytes } = require('../step2/json-bytes');
+
+// Record types in the MANIFEST log
+const MANIFEST_RECORD_TYPE = {
+    EDIT: 1,
+};
+
+/**
+ * FILE NAMES - every file gets a number from the same counter
+ */
+function tableFileName(dataDir, number) {
+    return path.join(dataDir, `${String(number).padStart(6, '0')}.sst`);
+}
+
+function logFileName(dataDir, number) {
+    return path.join(dataDir, `${String(number).padStart(6, '0')}.log`);
+}
+
+function manifestFileName(dataDir, number) {
+    return path.join(dataDir, `MANIFEST-${String(number).padStart(6, '0')}`);
+}
+
+/**
+ * fsync a directory so a rename/create inside it survives power loss.
+ * Not supported on every platform (e.g. Windows) - best effort there.
+ */
+function syncDirectory(dir) {
+    let fd = null;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch (err) {
+        // Directory fsync not supported here
+    } finally {
+        if (fd !== null) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * EDIT ↔ RECORD PAYLOAD (Buffer keys of added files become base64,
+ * see step2/json-bytes.js)
+ */
+function encodeEdit(edit) {
+    return Buffer.from(JSON.stringify({ ...edit, added: edit.added.map(packBytes) }));
+}
+
+function decodeEdit(payload) {
+    const edit = JSON.parse(payload.toString());
+    return { ...edit, added: (edit.added || []).map(unpackBytes) };
+}
+
+class Manifest {
+    /**
+     * @param {string} dataDir - Directory holding CURRENT, MANIFEST-* and *.sst
+     * @param {number} maxLevels - Number of levels in the tree
+     */
+    constructor(dataDir, maxLevels) {
+        this.dataDir = dataDir;
+        this.maxLevels = maxLevels;
+
+        // The current version: file metadata per level
+        // levels[0] is ordered oldest → newest
+        this.levels = [];
+        for (let i = 0; i < maxLevels; i++) {
+            this.levels.push([]);
+        }
+
+        this.nextFileNumber = 1;
+        this.lastSequence = 0;
+        this.logNumber = 0; // WAL segments below this are flushed
+
+        this.manifestNumber = null;
+        this.fd = null;
+    }
+
+    /**
+     * RECOVER: replay the existing manifest (if any)
+     *
+     * @returns {boolean} True if an existing manifest was found
+     *
+     * Call writeSnapshot() afterwards to start a fresh manifest.
+     */
+    recover() {
+        const currentPath = path.join(this.dataDir, 'CURRENT');
+        let existed = false;
+
+        if (fs.existsSync(currentPath)) {
+            const name = fs.readFileSync(currentPath, 'utf8').trim();
+            const manifestPath = path.join(this.dataDir, name);
+
+            if (!fs.existsSync(manifestPath)) {
+                throw new Error(`CURRENT points to missing manifest ${name}`);
+            }
+
+            // A torn last edit never committed - its files are junk
+            const { records } = readRecords(fs.readFileSync(manifestPath), {
+                mode: 'tolerate-tail',
+                source: manifestPath,
+            });
+
+            for (const record of records) {
+                if (record.type !== MANIFEST_RECORD_TYPE.EDIT) {
+                    throw new Error(`${manifestPath}: unknown record type ${record.type}`);
+                }
+                this.apply(decodeEdit(record.payload));
+            }
+
+            existed = true;
+        }
+
+        return existed;
+    }
+
+    /**
+     * ALLOCATE a new file number (for SSTables, WAL segments and manifests)
+     */
+    newFileNumber() {
+        return this.nextFileNumber++;
+    }
+
+    /**
+     * MARK A FILE NUMBER USED that the manifest may not know about
+     *
+     * A WAL segment takes its number before any edit records the counter,
+     * so after a crash its number can be "free" again - recovery marks
+     * the segments it finds, and new files never reuse their numbers.
+     */
+    markFileNumberUsed(number) {
+        this.nextFileNumber = Math.max(this.nextFileNumber, number + 1);
+    }
+
+    /**
+     * LOG AN EDIT - the commit point for flushes and compactions
+     *
+     * @param {object} edit - { added: [fileMeta], deleted: [{ level, number }],
+     *                        lastSequence?, logNumber? }
+     *
+     * The edit is appended and fsynced BEFORE it is applied in memory,
+     * and before the caller deletes any old files.
+     */
+    logEdit(edit) {
+        const record = {
+            added: edit.added || [],
+            deleted: edit.deleted || [],
+            nextFileNumber: this.nextFileNumber,
+        };
+        if (edit.lastSequence !== undefined) {
+            record.lastSequence = edit.lastSequence;
+        }
+        if (edit.logNumber !== undefined) {
+            record.logNumber = edit.logNumber;
+        }
+
+        fs.writeSync(this.fd, encodeRecord(MANIFEST_RECORD_TYPE.EDIT, encodeEdit(record)));
+        fs.fsyncSync(this.fd);
+
+        this.apply(record);
+    }
+
+    /**
+     * LIVE FILE NUMBERS across all levels
+     */
+    liveFiles() {
+        const live = new Set();
+        for (const level of this.levels) {
+            for (const file of level) {
+                live.add(file.number);
+            }
+        }
+        return live;
+    }
+
+    /**
+     * GARBAGE-COLLECT files that no version references
+     *
+     * - *.sst not in the manifest (half-finished flush/compaction output,
+     *   or inputs of a committed compaction that weren't deleted yet)
+     * - old MANIFEST-* files and leftover temp files
+     * - legacy levelN_M.sst files (already migrated by the time we get here)
+     * - WAL segments older than logNumber (flushed, but not deleted yet),
+     *   and wal-N.log / wal.log segments from before numbered ones existed
+     *   once a flush has moved past them
+     *
+     * @returns {string[]} Names of deleted files
+     */
+    collectGarbage() {
+        const live = this.liveFiles();
+        const currentManifest = path.basename(manifestFileName(this.dataDir, this.manifestNumber));
+        const deleted = [];
+
+        for (const file of fs.readdirSync(this.dataDir)) {
+            const table = file.match(/^(\d+)\.sst$/);
+            const isOrphanTable = table && !live.has(parseInt(table[1], 10));
+            const isOldManifest = file.startsWith('MANIFEST-') && file !== currentManifest;
+            const isTemp = file.endsWith('.tmp');
+            const isLegacyTable = /^level\d+_\d+\.sst$/.test(file);
+            const log = file.match(/^(\d+)\.log$/);
+            const isObsoleteLog = log
+                ? parseInt(log[1], 10) < this.logNumber
+                : this.logNumber > 0 && /^wal(-\d+)?\.log$/.test(file);
+
+            if (isOrphanTable || isOldManifest || isTemp || isLegacyTable || isObsoleteLog) {
+                fs.unlinkSync(path.join(this.dataDir, file));
+                deleted.push(file);
+            }
+        }
+
+        return deleted;
+    }
+
+    /**
+     * CLOSE the manifest log
+     */
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    /**
+     * APPLY an edit to the in-memory version only
+     *
+     * Use logEdit() to make it durable. Files applied here without a
+     * logEdit() become durable with the next writeSnapshot().
+     */
+    apply(edit) {
+        for (const { level, number } of edit.deleted || []) {
+            this.levels[level] = this.levels[level].filter(file => file.number !== number);
+        }
+        for (const file of edit.added || []) {
+            this.levels[file.level].push(file);
+        }
+        if (edit.nextFileNumber !== undefined) {
+            this.nextFileNumber = Math.max(this.nextFileNumber, edit.nextFileNumber);
+        }
+        if (edit.lastSequence !== undefined) {
+            this.lastSequence = Math.max(this.lastSequence, edit.lastSequence);
+        }
+        if (edit.logNumber !== undefined) {
+            this.logNumber = Math.max(this.logNumber, edit.logNumber);
+        }
+    }
+
+    /**
+     * WRITE A NEW MANIFEST holding a snapshot of the current version,
+     * then atomically point CURRENT at it.
+     *
+     * Called once on open, after recover(). Replacing CURRENT is the
+     * commit point; the previous manifest becomes garbage.
+     */
+    writeSnapshot() {
+        this.close();
+
+        this.manifestNumber = this.newFileNumber();
+        const manifestPath = manifestFileName(this.dataDir, this.manifestNumber);
+
+        const snapshot = {
+            added: this.levels.flat(),
+            deleted: [],
+            nextFileNumber: this.nextFileNumber,
+            lastSequence: this.lastSequence,
+            logNumber: this.logNumber,
+        };
+
+        this.fd = fs.openSync(manifestPath, 'w');
+        fs.writeSync(this.fd, LOG_MAGIC);
+        fs.writeSync(this.fd, encodeRecord(MANIFEST_RECORD_TYPE.EDIT, encodeEdit(snapshot)));
+        fs.fsyncSync(this.fd);
+
+        // CURRENT: write temp file, fsync, rename over (atomic)
+        const currentPath = path.join(this.dataDir, 'CURRENT');
+        const tmpPath = `${currentPath}.tmp`;
+        fs.writeFileSync(tmpPath, `${path.basename(manifestPath)}\n`);
+        const tmpFd = fs.openSync(tmpPath, 'r+');
+        fs.fsyncSync(tmpFd);
+        fs.closeSync(tmpFd);
+        fs.renameSync(tmpPath, currentPath);
+        syncDirectory(this.dataDir);
+    }
+}
+
+module.exports = { Manifest, tableFileName, logFileName, manifestFileName, syncDirectory };
@@ -0,0 +1,186 @@
+/**
+ * ============================================================================
+ * STEP 5: Merge Operator - Read-Modify-Write Without the Read
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how an LSM tree updates a value (a counter, a list) with a
+ * blind write, and works out the result only when somebody reads it.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM WITH get() + set()
+ *    Incrementing a counter with get() then set() reads every level for
+ *    the old value, and two async writers can both read 5 and both
+ *    write 6. A MERGE records the CHANGE instead:
+ *
+ *      db.merge('views', 1)   →   views@7 MERGE +1     (no read at all)
+ *
+ * 2. OPERANDS PILE UP, READS COMBINE THEM
+ *    A merge is an entry of type MERGE (see step2/value-type.js). A read
+ *    collects the operands newest first until it meets a value or a
+ *    deletion (or runs out of levels), then folds them oldest first:
+ *
+ *      views@9 +1   views@8 +4   views@3 =10     →  get('views') = 15
+ *
+ * 3. COMPACTION COLLAPSES THEM
+ *    Compaction folds the operands into the value under them, so they
+ *    don't pile up forever. Without a value underneath it still combines
+ *    the operands with each other - which is only correct if the
+ *    operator is ASSOCIATIVE: merge(merge(a, b), c) = merge(a, merge(b, c)).
+ *    Operands a snapshot could tell apart are left as they are.
+ *
+ * 4. OPERATORS
+ *    ┌─────────────────┬──────────────────────────────────────────────────┐
+ *    │ 'add'           │ numbers: 10 + 4 + 1 (no value counts as 0, a     │
+ *    │                 │ value that isn't a number is an error)           │
+ *    │ 'append'        │ arrays: an array operand appends its items,      │
+ *    │                 │ anything else appends itself. A value that isn't │
+ *    │                 │ an array becomes the first item: "x" → ["x", …]  │
+ *    │ 'stringAppend'  │ strings (or Buffers) joined together             │
+ *    │ custom          │ { name, merge(key, existing, operand) }          │
+ *    └─────────────────┴──────────────────────────────────────────────────┘
+ *
+ *    merge() gets existing = undefined when the key has no value. Keys,
+ *    values and operands are decoded with the database's keyEncoding /
+ *    valueEncoding, and the result is encoded with valueEncoding.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB has no merge. RocksDB's Merge() with an
+ *    AssociativeMergeOperator works this way; 'add' and 'stringAppend'
+ *    are its uint64add and stringappend operators.
+ */
+
+const { VALUE_TYPE } = require('../step2/value-type');
+const { decodeKey, encodeValue, decodeValue } = require('./encodings');
+
+const BUILT_IN = {
+    add: {
+        name: 'add',
+        merge: (key, existing, operand) => {
+            if (existing === undefined) {
+                return operand;
+            }
+            if (typeof existing !== 'number') {
+                throw new Error(`The 'add' merge operator can't add to the ${typeof existing} value of key ${key}`);
+            }
+            return existing + operand;
+        },
+        checkOperand: operand => {
+            if (typeof operand !== 'number' || !Number.isFinite(operand)) {
+                throw new Error(`The 'add' merge operator needs a number, got ${operand}`);
+            }
+        },
+    },
+    append: {
+        name: 'append',
+        merge: (key, existing, operand) =>
+            (existing === undefined ? [] : Array.isArray(existing) ? existing : [existing]).concat(operand),
+    },
+    stringAppend: {
+        name: 'stringAppend',
+        merge: (key, existing, operand) => {
+            if (existing === undefined) {
+                return operand;
+            }
+            if (Buffer.isBuffer(existing) || Buffer.isBuffer(operand)) {
+                return Buffer.concat([Buffer.from(existing), Buffer.from(operand)]);
+            }
+            return String(existing) + operand;
+        },
+        checkOperand: operand => {
+            if (typeof operand !== 'string' && !Buffer.isBuffer(operand)) {
+                throw new Error('The \'stringAppend\' merge operator needs a string or Buffer');
+            }
+        },
+    },
+};
+
+class MergeOperator {
+    /**
+     * @param {string|object} operator - 'add', 'append', 'stringAppend' or
+     *                                   { name, merge(key, existing, operand) }
+     * @param {object} encodings - { keyEncoding, valueEncoding } (checked)
+     */
+    constructor(operator, { keyEncoding, valueEncoding }) {
+        if (typeof operator === 'string') {
+            if (!Object.hasOwn(BUILT_IN, operator)) {
+                throw new Error(`Unknown mergeOperator "${operator}" (expected 'add', 'append', 'stringAppend' or an object)`);
+            }
+            operator = BUILT_IN[operator];
+        } else if (operator === null || typeof operator !== 'object' || typeof operator.merge !== 'function') {
+            throw new Error('A custom mergeOperator must be { name, merge(key, existing, operand) }');
+        }
+        this.name = operator.name === undefined ? 'custom' : operator.name;
+        this._merge = operator.merge;
+        this._checkOperand = operator.checkOperand || null;
+        this.keyEncoding = keyEncoding;
+        this.valueEncoding = valueEncoding;
+    }
+
+    /**
+     * CHECK AN OPERAND before it is written (a bad one would only fail
+     * later, on every read and compaction of the key)
+     *
+     * @param {any} operand - As the application passed it
+     */
+    checkOperand(operand) {
+        if (this._checkOperand !== null) {
+            this._checkOperand(operand);
+        }
+    }
+
+    /**
+     * FULL MERGE - A value with every operand applied
+     *
+     * @param {string|Buffer} key - The stored key
+     * @param {any} existing - The stored value under the operands (undefined: none)
+     * @param {Array} operands - Stored operands, OLDEST first
+     * @returns {any} The stored result
+     */
+    fullMerge(key, existing, operands) {
+        const userKey = decodeKey(this.keyEncoding, key);
+        let result = existing === undefined ? undefined : decodeValue(this.valueEncoding, existing);
+        for (const operand of operands) {
+            result = this._merge(userKey, result, decodeValue(this.valueEncoding, operand));
+        }
+        return encodeValue(this.valueEncoding, result);
+    }
+
+    /**
+     * PARTIAL MERGE - Several operands combined into one (associativity)
+     *
+     * @param {string|Buffer} key - The stored key
+     * @param {Array} operands - Stored operands, OLDEST first (at least one)
+     * @returns {any} The stored operand
+     */
+    partialMerge(key, operands) {
+        const [first, ...rest] = operands;
+        return this.fullMerge(key, first, rest);
+    }
+}
+
+/**
+ * WHAT A READ SEES under merge operands
+ *
+ * @param {MergeOperator|null} operator - The database's (null: none)
+ * @param {string|Buffer} key - The stored key
+ * @param {object|undefined} base - The live entry under the operands
+ *                                  (undefined: none, deleted or expired)
+ * @param {Array} operands - Operand entries, NEWEST first (as reads find them)
+ * @returns {object} A VALUE entry { key, type, value, seq }
+ */
+function applyMerges(operator, key, base, operands) {
+    if (operator === null) {
+        throw new Error('Found a merge operand, but the database has no mergeOperator');
+    }
+    const values = operands.map(operand => operand.value).reverse();
+    return {
+        key,
+        type: VALUE_TYPE.VALUE,
+        value: operator.fullMerge(key, base === undefined ? undefined : base.value, values),
+        seq: operands[0].seq,
+    };
+}
+
+module.exports = { MergeOperator, applyMerges };
@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ * STEP 5: Merging Iterator - One Sorted Stream from Many Sources
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how an LSM tree scans the MemTable and every SSTable at once
+ * without loading any of them fully into memory.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. K-WAY MERGE
+ *    Every source (MemTable, each SSTable) is already sorted. To merge them
+ *    we only need to know which source has the SMALLEST current entry:
+ *
+ *      memtable:  [b@9]  d@7
+ *      L0 #12:    [a@5]  b@4   c@3
+ *      L1 #7:     [a@1]  e@2
+ *
+ *    A min-heap of the sources, ordered by their current entry, answers
+ *    that in O(log k). Pop the smallest, advance that source, push it back.
+ *    Memory: ONE cursor per source, no matter how many keys are scanned.
+ *
+ * 2. ORDER OF INTERNAL ENTRIES
+ *    The merged stream yields EVERY version, ordered by:
+ *      1. key ascending (by the database's comparator)
+ *      2. seq descending (newest version first)
+ *      3. source rank (memtable, then L0 newest → oldest, then L1, L2...)
+ *    Rank only matters for entries written before sequence numbers
+ *    existed (they all have seq 0).
+ *
+ * 3. GOING BACKWARDS
+ *    prev() uses the SAME order with a max-heap. Switching direction means
+ *    re-positioning every source, which the caller does with a seek.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB's MergingIterator (table/merger.cc) does the same job. It scans
+ *    the children linearly because k is small; RocksDB uses a heap.
+ */
+
+const { BytewiseComparator } = require('../step3/comparator');
+
+/**
+ * Binary heap of child indexes, ordered by a comparator
+ * (the root is the entry that compare() puts first).
+ */
+class BinaryHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        this.items.push(item);
+        this._siftUp(this.items.length - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            this._siftDown(0);
+        }
+        return top;
+    }
+
+    /**
+     * @private
+     */
+    _siftUp(i) {
+        const items = this.items;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) {
+                break;
+            }
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _siftDown(i) {
+        const items = this.items;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < items.length && this.compare(items[left], items[smallest]) < 0) {
+                smallest = left;
+            }
+            if (right < items.length && this.compare(items[right], items[smallest]) < 0) {
+                smallest = right;
+            }
+            if (smallest === i) {
+                break;
+            }
+            [items[i], items[smallest]] = [items[smallest], items[i]];
+            i = smallest;
+        }
+    }
+}
+
+/**
+ * Merging Iterator
+ *
+ * Children must provide: valid(), current ({ key, value, seq }),
+ * seekToFirst(), seekToLast(), seek(key), seekPast(key), next(), prev()
+ * - see SkipListIterator and SSTableIterator.
+ */
+class MergingIterator {
+    /**
+     * @param {Array} children - Source cursors, newest source first
+     * @param {object} comparator - Key order of the sources (default: bytewise)
+     */
+    constructor(children, comparator = BytewiseComparator) {
+        this.children = children;
+        this.compareKeys = comparator.compare;
+        this.direction = 'forward';
+        this.heap = new BinaryHeap((a, b) => this._compare(a, b));
+    }
+
+    /**
+     * Is the merged cursor on an entry?
+     */
+    valid() {
+        return this.heap.size > 0;
+    }
+
+    /**
+     * The entry under the cursor: { key, value, seq }
+     */
+    get current() {
+        return this.children[this.heap.peek()].current;
+    }
+
+    seekToFirst() {
+        this.children.forEach(child => child.seekToFirst());
+        this._rebuild('forward');
+    }
+
+    seekToLast() {
+        this.children.forEach(child => child.seekToLast());
+        this._rebuild('reverse');
+    }
+
+    /**
+     * Move to the first entry with key >= key
+     */
+    seek(key) {
+        this.children.forEach(child => child.seek(key));
+        this._rebuild('forward');
+    }
+
+    /**
+     * Move to the first entry with key > key
+     */
+    seekPast(key) {
+        this.children.forEach(child => child.seekPast(key));
+        this._rebuild('forward');
+    }
+
+    /**
+     * Move to the LAST entry with key < key (or <= key if inclusive)
+     * - the starting point for walking backwards
+     */
+    seekForPrev(key, inclusive) {
+        for (const child of this.children) {
+            if (inclusive) {
+                child.seekPast(key);
+            } else {
+                child.seek(key);
+            }
+
+            // Nothing at or after key → the child's last entry is before it
+            if (child.valid()) {
+                child.prev();
+            } else {
+                child.seekToLast();
+            }
+        }
+        this._rebuild('reverse');
+    }
+
+    next() {
+        if (this.direction !== 'forward') {
+            throw new Error('next() after a backward seek - seek again first');
+        }
+        this._advance(child => child.next());
+    }
+
+    prev() {
+        if (this.direction !== 'reverse') {
+            throw new Error('prev() after a forward seek - seek again first');
+        }
+        this._advance(child => child.prev());
+    }
+
+    /**
+     * Step the child on top of the heap and put it back if it has more
+     *
+     * @private
+     */
+    _advance(step) {
+        const index = this.heap.pop();
+        const child = this.children[index];
+        step(child);
+        if (child.valid()) {
+            this.heap.push(index);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _rebuild(direction) {
+        this.direction = direction;
+        this.heap.items = [];
+        this.children.forEach((child, index) => {
+            if (child.valid()) {
+                this.heap.push(index);
+            }
+        });
+    }
+
+    /**
+     * ORDER two children by their current entries
+     * (key asc, seq desc, rank asc - flipped when walking backwards)
+     *
+     * @private
+     */
+    _compare(a, b) {
+        const x = this.children[a].current;
+        const y = this.children[b].current;
+
+        let order = this.compareKeys(x.key, y.key);
+        if (order !== 0) {
+            order = order < 0 ? -1 : 1;
+        } else if (x.seq !== y.seq) {
+            order = x.seq > y.seq ? -1 : 1;
+        } else {
+            order = a - b;
+        }
+
+        return this.direction === 'forward' ? order : -order;
+    }
+}
+
+module.exports = { MergingIterator };
@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ * STEP 5: Range Deletions - One Tombstone for a Million Keys
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how an LSM tree deletes a whole key range with a single
+ * write, and how reads and compaction honor it.
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. THE PROBLEM WITH delete() IN A LOOP
+ *    Dropping a tenant ('tenant:42:' ... 'tenant:42;') key by key first
+ *    SCANS every key, then writes one tombstone each - a million reads
+ *    and a million writes to make data disappear.
+ *
+ * 2. ONE TOMBSTONE FOR THE RANGE
+ *    db.deleteRange('tenant:42:', 'tenant:42;') writes ONE entry of type
+ *    RANGE_DELETION (see step2/value-type.js):
+ *
+ *      [tenant:42:, tenant:42;) @17
+ *
+ *    It hides every version of every key with start <= key < end (the
+ *    end is NOT deleted) that is older than it - @17 here. Newer writes
+ *    into the range are not affected, and a snapshot taken before @17
+ *    doesn't see the tombstone at all.
+ *
+ * 3. WHERE IT LIVES
+ *    - the WAL: a DELETE_RANGE record (or a batch operation)
+ *    - the MemTable: a list next to the skip list (it covers keys that
+ *      aren't in the skip list at all)
+ *    - an SSTable: its own range deletion block, read when the table is
+ *      opened. The table's key range stretches to cover its tombstones,
+ *      so a read - or a compaction - of any key in the range finds it.
+ *
+ * 4. READS
+ *    get() checks each source's tombstones before its versions: the
+ *    newest tombstone covering the key hides every older version, in
+ *    that source and all those below it. An iterator checks every
+ *    version against all the tombstones it can see.
+ *
+ * 5. COMPACTION
+ *    Versions covered by a tombstone of the compaction (with no snapshot
+ *    in between) are dropped. The tombstone itself is copied along until
+ *    no older data in its range can be left anywhere else - typically
+ *    when it reaches the bottom level - and is then dropped too.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    LevelDB has no range deletion. RocksDB's DeleteRange() is the model:
+ *    kTypeRangeDeletion entries in a range-del block of each SSTable.
+ *    RocksDB also cuts tombstones into non-overlapping fragments to
+ *    search them faster - we simply check them one by one, since there
+ *    are usually few.
+ */
+
+/**
+ * DOES A RANGE DELETION COVER key? (start <= key < end)
+ *
+ * @param {object} rangeDeletion - { start, end, seq }
+ * @param {string|Buffer} key - A stored key
+ * @param {Function} compare - The database's comparator
+ * @returns {boolean}
+ */
+function covers(rangeDeletion, key, compare) {
+    return compare(rangeDeletion.start, key) <= 0 && compare(key, rangeDeletion.end) < 0;
+}
+
+/**
+ * THE NEWEST RANGE DELETION covering key that a reader can see
+ *
+ * @param {Array} rangeDeletions - [{ start, end, seq }]
+ * @param {string|Buffer} key - A stored key
+ * @param {number} sequence - The read sequence
+ * @param {Function} compare - The database's comparator
+ * @returns {number} Its seq - versions older than this are deleted
+ *                   (0: no tombstone covers the key)
+ */
+function coveringSeq(rangeDeletions, key, sequence, compare) {
+    let seq = 0;
+    for (const rangeDeletion of rangeDeletions) {
+        if (rangeDeletion.seq > seq && rangeDeletion.seq <= sequence && covers(rangeDeletion, key, compare)) {
+            seq = rangeDeletion.seq;
+        }
+    }
+    return seq;
+}
+
+module.exports = { covers, coveringSeq };
@@ -0,0 +1,90 @@
+/**
+ * ============================================================================
+ * STEP 5: Snapshots - Reading a Frozen Point in Time
+ * ============================================================================
+ *
+ * 🎯 LEARNING GOAL:
+ * Understand how sequence numbers give readers a consistent view while
+ * writers keep going (MVCC - Multi-Version Concurrency Control).
+ *
+ * 📚 KEY CONCEPTS:
+ *
+ * 1. SEQUENCE NUMBERS
+ *    Every write gets the next number from one global counter:
+ *
+ *      set(a, 1)  → seq 1
+ *      set(b, 2)  → seq 2
+ *      set(a, 3)  → seq 3      (a now has TWO versions: @3 and @1)
+ *
+ * 2. A SNAPSHOT IS JUST A NUMBER
+ *    getSnapshot() remembers the last sequence number handed out.
+ *    Reading "as of" the snapshot means: for every key, use the newest
+ *    version whose seq <= snapshot.sequence. Later writes are invisible.
+ *
+ *      snap = getSnapshot()   // sequence = 3
+ *      set(a, 4)              // seq 4 - snap does not see it
+ *      get(a, { snapshot: snap }) → 3
+ *
+ * 3. WHY SNAPSHOTS MUST BE RELEASED
+ *    Compaction normally keeps only the newest version of each key.
+ *    While a snapshot is alive, compaction must ALSO keep the version
+ *    that snapshot sees. Forgetting releaseSnapshot() = old versions are
+ *    never reclaimed.
+ *
+ * 🔗 HOW THIS RELATES TO LEVELDB:
+ *    Same design as LevelDB's Snapshot / SnapshotList (db/snapshot.h).
+ */
+
+class Snapshot {
+    /**
+     * @param {number} sequence - Last sequence number visible to this snapshot
+     */
+    constructor(sequence) {
+        this.sequence = sequence;
+        this.released = false;
+    }
+}
+
+/**
+ * All live snapshots, oldest first.
+ * Sequence numbers only grow, so new snapshots are simply appended.
+ */
+class SnapshotList {
+    constructor() {
+        this._snapshots = [];
+    }
+
+    /**
+     * CREATE a snapshot at the given sequence number
+     */
+    create(sequence) {
+        const snapshot = new Snapshot(sequence);
+        this._snapshots.push(snapshot);
+        return snapshot;
+    }
+
+    /**
+     * RELEASE a snapshot - compaction may now drop what only it needed
+     */
+    release(snapshot) {
+        const index = this._snapshots.indexOf(snapshot);
+        if (index === -1) {
+            throw new Error('Snapshot is not live (already released?)');
+        }
+        this._snapshots.splice(index, 1);
+        snapshot.released = true;
+    }
+
+    /**
+     * SEQUENCE NUMBERS of all live snapshots, ascending
+     */
+    sequences() {
+        return this._snapshots.map(snapshot => snapshot.sequence);
+    }
+
+    get size() {
+        return this._snapshots.length;
+    }
+}
+
+module.exports = { Snapshot, SnapshotList };